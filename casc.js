@@ -0,0 +1,240 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const { normalizePath, globToRegExp, mkdirSync, writeFileSync } = require('./utils');
+
+/**
+ * Read-only local CASC storage of D2R (TVFS root):
+ *   .build.info (active build key) => build config (vfs-root EKey) => local index *.idx (EKey => data.NNN offset) => BLTE => TVFS (path => EKey).
+ * Only BLTE chunk modes N (raw) and Z (zlib) are supported, which is what D2R uses.
+ * @typedef {{ ekey: string, offset: number, length: number }} CascSpan  ekey: hex of TVFS EKey (9 bytes)
+ * @typedef {{ archive: number, offset: number, size: number }} CascIndexEntry
+ */
+
+const kDataEntryHeaderSize = 0x1E;  // data.NNN entry: reversed EKey (16), size (4), flags (2), checksums (8), then BLTE
+const kTVFSFolderNode = 0x80000000;
+
+/** Lower-case '/' path without "<vfs>:" prefix.  @returns {string} */
+function normalizeCascPath(mixedPath) { return normalizePath(mixedPath).replace(/^.*:/, '').toLowerCase(); }
+
+/** .build.info: '|' separated table with header cells "Name!TYPE:size".  @returns {Object.<string, string>[]} */
+function parseBuildInfo(content) {
+    let [ headerLine, ...lines ] = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    let names = headerLine.split('|').map(cell => cell.split('!')[0]);
+    return lines.map(line => Object.fromEntries(line.split('|').map((value, i) => [ names[i], value ])));
+}
+
+/** Build config: "key = value ..." lines.  @returns {Object.<string, string[]>} */
+function parseBuildConfig(content) {
+    let config = {};
+    for (let line of content.split(/\r?\n/)) {
+        let match = /^([^#=]+?)\s*=\s*(.*)$/.exec(line.trim());
+        if (match) config[match[1]] = match[2].split(/\s+/).filter(s => s);
+    }
+    return config;
+}
+
+/** Local index v7: header block, then entries block of EKey (truncated), storage offset (BE, archive in high bits), encoded size (LE). */
+function parseIndexFile(buffer, /** @type {Map<string, CascIndexEntry>} */ index) {
+    let headerSize = buffer.readUInt32LE(0), version = buffer.readUInt16LE(8);
+    if (version !== 7) throw new Error(`CASC: unsupported index version: ${version}`);
+    let encodedSizeLength = buffer[12], storageOffsetLength = buffer[13], ekeyLength = buffer[14], fileOffsetBits = buffer[15];
+    let entriesPos = (8 + headerSize + 0x0F) & ~0x0F, entriesEnd = entriesPos + 8 + buffer.readUInt32LE(entriesPos);
+    let entryLength = ekeyLength + storageOffsetLength + encodedSizeLength;
+    for (let pos = entriesPos + 8; pos + entryLength <= entriesEnd; pos += entryLength) {
+        let storageOffset = buffer.readUIntBE(pos + ekeyLength, storageOffsetLength);
+        index.set(buffer.toString('hex', pos, pos + ekeyLength), {
+            archive: Math.floor(storageOffset / 2 ** fileOffsetBits), offset: storageOffset % 2 ** fileOffsetBits,
+            size: buffer.readUIntLE(pos + ekeyLength + storageOffsetLength, encodedSizeLength),
+        });
+    }
+    return ekeyLength;
+}
+
+/** BLTE: optional chunk table (compressed size, decompressed size, md5 per chunk), then chunks prefixed by mode byte.  @returns {Buffer} */
+function decodeBLTE(blte) {
+    if (blte.toString('latin1', 0, 4) !== 'BLTE') throw new Error(`CASC: not BLTE data`);
+    let headerSize = blte.readUInt32BE(4), chunks = [];
+    if (headerSize === 0) {
+        chunks.push(blte.subarray(8));
+    } else {
+        let chunkCount = blte.readUIntBE(9, 3), pos = headerSize;
+        for (let i = 0; i < chunkCount; i++) {
+            let compressedSize = blte.readUInt32BE(12 + i * 24);
+            chunks.push(blte.subarray(pos, pos + compressedSize));
+            pos += compressedSize;
+        }
+    }
+    return Buffer.concat(chunks.map(chunk => {
+        let mode = String.fromCharCode(chunk[0]);
+        if (mode === 'N') return chunk.subarray(1);
+        if (mode === 'Z') return zlib.inflateSync(chunk.subarray(1));
+        throw new Error(`CASC: unsupported BLTE chunk mode: ${mode}`);
+    }));
+}
+
+/**
+ * TVFS: path table (prefix tree of name fragments; node value is folder size or VFS table offset)
+ * => VFS entry (spans of container file table offset) => container file table (EKey).
+ * @param {(filePath: string, spans: CascSpan[]) => void} onFile
+ */
+function parseTVFS(buffer, prefix, onFile) {
+    if (buffer.toString('latin1', 0, 4) !== 'TVFS') throw new Error(`CASC: not TVFS data`);
+    let ekeySize = buffer[6], pathTableOffset = buffer.readUInt32BE(12), pathTableSize = buffer.readUInt32BE(16);
+    let vfsTableOffset = buffer.readUInt32BE(20), cftTableOffset = buffer.readUInt32BE(28), cftTableSize = buffer.readUInt32BE(32);
+    let cftOffsetSize = cftTableSize > 0xFFFFFF ? 4 : (cftTableSize > 0xFFFF ? 3 : (cftTableSize > 0xFF ? 2 : 1));
+    const readSpans = (vfsOffset) => {
+        let pos = vfsTableOffset + vfsOffset, spans = [];
+        for (let i = 0, spanCount = buffer[pos++]; i < spanCount; i++, pos += 8 + cftOffsetSize) {
+            let cftPos = cftTableOffset + buffer.readUIntBE(pos + 8, cftOffsetSize);
+            spans.push({ ekey: buffer.toString('hex', cftPos, cftPos + ekeySize), offset: buffer.readUInt32BE(pos), length: buffer.readUInt32BE(pos + 4) });
+        }
+        return spans;
+    };
+    const parseDir = (pos, end, dirPath) => {
+        let filePath = dirPath;
+        while (pos < end) {
+            let separatorPre = false, separatorPost = false, name = '', nodeValue = null;
+            if (buffer[pos] === 0) { separatorPre = true; pos++; }
+            if (pos < end && buffer[pos] !== 0xFF) {
+                name = buffer.toString('utf-8', pos + 1, pos + 1 + buffer[pos]);
+                pos += 1 + buffer[pos];
+            }
+            if (pos < end && buffer[pos] === 0) { separatorPost = true; pos++; }
+            if (pos < end) {
+                if (buffer[pos] === 0xFF) { nodeValue = buffer.readUInt32BE(pos + 1); pos += 5; }
+                else separatorPost = true;
+            }
+            filePath += (separatorPre ? '/' : '') + name + (separatorPost ? '/' : '');
+            if (nodeValue === null) continue;  // Name continues in next fragment
+            if (nodeValue >= kTVFSFolderNode) {
+                let dirEnd = pos + (nodeValue - kTVFSFolderNode) - 4;  // Folder size includes node value
+                parseDir(pos, dirEnd, filePath);
+                pos = dirEnd;
+            } else {
+                onFile(filePath, readSpans(nodeValue));
+            }
+            filePath = dirPath;
+        }
+    };
+    parseDir(pathTableOffset, pathTableOffset + pathTableSize, prefix);
+}
+
+class CascStorage {
+    /** @param {string} gamePath  D2R install dir (with .build.info and Data/) */
+    constructor(gamePath) {
+        this.gamePath = gamePath;
+        this.dataPath = [ 'Data', 'data' ].map(name => path.join(gamePath, name)).find(dataPath => fs.existsSync(dataPath)) ?? path.join(gamePath, 'Data');
+        /** @type {Map<string, CascIndexEntry>} */ this.index = new Map();
+        this.indexKeyLength = 9;
+        /** @type {Map<string, { path: string, spans: CascSpan[] }>} */ this.files = new Map();  // normalizeCascPath : entry
+        /** @type {Map<number, number>} */ this.dataFds = new Map();
+        this.buildKey = null;
+    }
+
+    open() {
+        let buildInfo = parseBuildInfo(fs.readFileSync(path.join(this.gamePath, '.build.info'), 'utf-8'));
+        let build = buildInfo.find(row => row.Active === '1') ?? buildInfo[0];
+        if (!build?.['Build Key']) throw new Error(`CASC: no build in .build.info: ${this.gamePath}`);
+        this.buildKey = build['Build Key'];
+        let buildConfig = parseBuildConfig(fs.readFileSync(path.join(this.dataPath, 'config', this.buildKey.slice(0, 2), this.buildKey.slice(2, 4), this.buildKey), 'utf-8'));
+        this.loadIndex();
+        let vfsRootKey = buildConfig['vfs-root']?.[1];  // ckey, ekey
+        if (!vfsRootKey) throw new Error(`CASC: build config has no vfs-root: ${this.buildKey}`);
+        let subVFSKeys = new Set(Object.entries(buildConfig).filter(([ key ]) => /^vfs-\d+$/.test(key)).map(([ , keys ]) => this.getIndexKey(keys[1])));
+        const onFile = (filePath, spans) => {
+            let ekey = spans.length === 1 ? this.getIndexKey(spans[0].ekey) : null;
+            if (subVFSKeys.delete(ekey)) return parseTVFS(this.readSpans(spans), `${filePath}:`, onFile);
+            this.files.set(normalizeCascPath(filePath), { path: filePath, spans });
+        };
+        parseTVFS(this.readEncoded(vfsRootKey), '', onFile);
+        console.info(`CASC: opened build ${this.buildKey} (${build.Version ?? 'unknown version'}): ${this.files.size} files`);
+        return this;
+    }
+
+    close() {
+        for (let fd of this.dataFds.values()) fs.closeSync(fd);
+        this.dataFds.clear();
+    }
+
+    getIndexKey(ekeyHex) { return ekeyHex.slice(0, this.indexKeyLength * 2).toLowerCase(); }
+
+    /** Latest version of each bucket: <bucket:2><version:8>.idx */
+    loadIndex() {
+        let indexDir = path.join(this.dataPath, 'data'), latest = new Map();
+        for (let name of fs.readdirSync(indexDir).filter(name => /^[0-9a-f]{10}\.idx$/i.test(name)).sort()) latest.set(name.slice(0, 2).toLowerCase(), name);
+        for (let name of latest.values()) this.indexKeyLength = parseIndexFile(fs.readFileSync(path.join(indexDir, name)), this.index);
+    }
+
+    /** @returns {Buffer} */
+    readEncoded(ekeyHex) {
+        let entry = this.index.get(this.getIndexKey(ekeyHex));
+        if (!entry) throw new Error(`CASC: EKey not in local index: ${ekeyHex}`);
+        if (!this.dataFds.has(entry.archive)) this.dataFds.set(entry.archive, fs.openSync(path.join(this.dataPath, 'data', `data.${String(entry.archive).padStart(3, '0')}`), 'r'));
+        let buffer = Buffer.alloc(entry.size);
+        fs.readSync(this.dataFds.get(entry.archive), buffer, 0, entry.size, entry.offset);
+        return decodeBLTE(buffer.subarray(kDataEntryHeaderSize));
+    }
+
+    /** @param {CascSpan[]} spans  @returns {Buffer} */
+    readSpans(spans) { return Buffer.concat(spans.map(({ ekey, offset, length }) => this.readEncoded(ekey).subarray(offset, offset + length))); }
+
+    /** EKeys of file content, changing with game patches.  @returns {?string} */
+    getFileKey(mixedPath) { return this.files.get(normalizeCascPath(mixedPath))?.spans.map(({ ekey }) => ekey).join('+') ?? null; }
+
+    /** @returns {?Buffer} */
+    readFile(mixedPath) {
+        let entry = this.files.get(normalizeCascPath(mixedPath));
+        return entry ? this.readSpans(entry.spans) : null;
+    }
+
+    /** Paths (without "<vfs>:" prefix) matching any glob.  @param {string[]} globs  @returns {string[]} */
+    listFiles(globs) {
+        let regExps = globs.map(globToRegExp);
+        return [ ...this.files.values() ].map(entry => entry.path.replace(/^.*:/, '')).filter(filePath => regExps.length === 0 || regExps.some(re => re.test(filePath))).sort();
+    }
+}
+
+module.exports = { CascStorage, normalizeCascPath, decodeBLTE };
+if (require.main === module) main();
+
+// node <casc.js> list <d2r-game-dir> [<glob>...]
+// node <casc.js> extract <d2r-game-dir> <output-dir> <glob>...
+function printUsage() { return console.info(`
+Usage: node ${path.basename(__filename)} list <d2r-game-dir> [<glob>...]
+Usage: node ${path.basename(__filename)} extract <d2r-game-dir> <output-dir> <glob>...
+  Globs match paths in storage, e.g. "data/global/excel/*.txt", "data/local/lng/strings/*.json".
+  Extracted files keep their paths under output-dir, so <output-dir>/data can be used as input data.
+`.replace(/^\n/, '')); }
+
+function main() {
+    globalThis.dryrun ??= false;
+    let [ command, gamePath, ...args ] = process.argv.slice(2);
+    if (!gamePath || ![ 'list', 'extract' ].includes(command) || (command === 'extract' && args.length < 2)) return printUsage();
+    let casc = new CascStorage(gamePath).open();
+    if (command === 'list') {
+        for (let filePath of casc.listFiles(args)) console.log(filePath);
+    } else {
+        let [ outputDir, ...globs ] = args, filePaths = casc.listFiles(globs);
+        for (let filePath of filePaths) {
+            let outputPath = path.join(outputDir, ...filePath.split('/'));
+            mkdirSync(path.dirname(outputPath));
+            writeFileSync(outputPath, casc.readFile(filePath), { binary: true });
+        }
+        console.info(`CASC: extracted ${filePaths.length} files to: ${outputDir}`);
+    }
+    casc.close();
+}
@@ -0,0 +1,134 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const child_process = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+globalThis.dryrun = false;
+const { CascStorage } = require('./casc');
+const { FileResolver } = require('./resolver');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-casc-'));
+const gameDir = path.join(tmpDir, 'game');
+
+// Synthetic storage: root TVFS with folder "data/" and a nested TVFS (vfs-1) holding the strings.
+const kArmorTxt = 'name\tcode\tlevel\nCap\tcap\t1\nHelm\thlm\t5\n';
+const kItemNamesJson = '\uFEFF[{"id":1,"Key":"cap","enUS":"Cap"}]';
+
+function md5(buffer) { return crypto.createHash('md5').update(buffer).digest(); }
+function u32BE(value) { let buffer = Buffer.alloc(4); buffer.writeUInt32BE(value); return buffer; }
+function blteRaw(data) { return Buffer.concat([ Buffer.from('BLTE'), u32BE(0), Buffer.from('N'), data ]); }
+function blteChunked(data) {
+    let chunks = [ Buffer.concat([ Buffer.from('Z'), zlib.deflateSync(data.subarray(0, 10)) ]), Buffer.concat([ Buffer.from('N'), data.subarray(10) ]) ];
+    let chunkInfos = chunks.map((chunk, i) => Buffer.concat([ u32BE(chunk.length), u32BE(i === 0 ? 10 : data.length - 10), md5(chunk) ]));
+    return Buffer.concat([ Buffer.from('BLTE'), u32BE(12 + 24 * chunks.length), Buffer.from([ 0x0F, 0, 0, chunks.length ]), ...chunkInfos, ...chunks ]);
+}
+/** @param {Buffer} pathTable  @param {{ ekey: Buffer, size: number }[]} files  in VFS table order */
+function makeTVFS(pathTable, files) {
+    let vfsTable = Buffer.concat(files.map(({ size }, i) => Buffer.concat([ Buffer.from([ 1 ]), u32BE(0), u32BE(size), Buffer.from([ i * 13 ]) ])));
+    let cftTable = Buffer.concat(files.map(({ ekey, size }) => Buffer.concat([ ekey.subarray(0, 9), u32BE(size) ])));
+    let header = Buffer.concat([ Buffer.from('TVFS'), Buffer.from([ 1, 38, 9, 0 ]), u32BE(0),
+        u32BE(38), u32BE(pathTable.length), u32BE(38 + pathTable.length), u32BE(vfsTable.length),
+        u32BE(38 + pathTable.length + vfsTable.length), u32BE(cftTable.length), Buffer.from([ 0, 2 ]) ]);
+    return Buffer.concat([ header, pathTable, vfsTable, cftTable ]);
+}
+function nameFragment(name) { return Buffer.concat([ Buffer.from([ name.length ]), Buffer.from(name) ]); }
+function nodeValue(value) { return Buffer.concat([ Buffer.from([ 0xFF ]), u32BE(value) ]); }
+
+function writeStorage() {
+    let armor = Buffer.from(kArmorTxt), itemNames = Buffer.from(kItemNamesJson);
+    let blobs = [ blteChunked(armor), blteRaw(itemNames) ].map(blte => ({ ekey: md5(blte), blte }));
+    let [ armorBlob, itemNamesBlob ] = blobs;
+    // "data/" folder { "global/excel/armor.txt" }, "locale" => sub VFS; VFS entries of files are 10 bytes each
+    let folderContent = Buffer.concat([ nameFragment('global/excel/armor.txt'), nodeValue(0) ]);
+    let rootPathTable = Buffer.concat([ nameFragment('data'), Buffer.from([ 0 ]), nodeValue(0x80000000 + 4 + folderContent.length), folderContent,
+        nameFragment('locale'), nodeValue(10) ]);
+    let subPathTable = Buffer.concat([ nameFragment('data/local/lng/strings/item-names.json'), nodeValue(0) ]);
+    let subTVFS = makeTVFS(subPathTable, [ { ekey: itemNamesBlob.ekey, size: itemNames.length } ]);
+    let subBlob = { ekey: md5(subTVFS), blte: blteRaw(subTVFS) };
+    let rootTVFS = makeTVFS(rootPathTable, [ { ekey: armorBlob.ekey, size: armor.length }, { ekey: subBlob.ekey, size: subTVFS.length } ]);
+    let rootBlob = { ekey: md5(rootTVFS), blte: blteRaw(rootTVFS) };
+    blobs.push(subBlob, rootBlob);
+
+    let dataDir = path.join(gameDir, 'Data', 'data'), dataChunks = [], entries = [], offset = 0;
+    fs.mkdirSync(dataDir, { recursive: true });
+    for (let { ekey, blte } of blobs) {
+        let entry = Buffer.concat([ Buffer.from(ekey).reverse(), Buffer.alloc(14), blte ]);
+        let location = Buffer.alloc(5);
+        location.writeUIntBE(offset, 0, 5);  // archive 0
+        let size = Buffer.alloc(4);
+        size.writeUInt32LE(entry.length);
+        entries.push(Buffer.concat([ ekey.subarray(0, 9), location, size ]));
+        dataChunks.push(entry);
+        offset += entry.length;
+    }
+    fs.writeFileSync(path.join(dataDir, 'data.000'), Buffer.concat(dataChunks));
+    let indexHeader = Buffer.alloc(32);
+    indexHeader.writeUInt32LE(16, 0);
+    indexHeader.writeUInt16LE(7, 8);
+    indexHeader.set([ 0, 0, 4, 5, 9, 30 ], 10);
+    let entriesHeader = Buffer.alloc(8);
+    entriesHeader.writeUInt32LE(entries.length * 18);
+    fs.writeFileSync(path.join(dataDir, '0000000002.idx'), Buffer.concat([ indexHeader, entriesHeader, ...entries ]));
+    fs.writeFileSync(path.join(dataDir, '0000000001.idx'), Buffer.alloc(0));  // Older version, ignored
+
+    let buildKey = md5(Buffer.from('build')).toString('hex');
+    let configDir = path.join(gameDir, 'Data', 'config', buildKey.slice(0, 2), buildKey.slice(2, 4));
+    fs.mkdirSync(configDir, { recursive: true });
+    fs.writeFileSync(path.join(configDir, buildKey), `# Build Configuration\n\nvfs-root = ${md5(rootTVFS).toString('hex')} ${rootBlob.ekey.toString('hex')}\n` +
+        `vfs-1 = ${md5(subTVFS).toString('hex')} ${subBlob.ekey.toString('hex')}\n`);
+    fs.writeFileSync(path.join(gameDir, '.build.info'), `Branch!STRING:0|Active!DEC:1|Build Key!HEX:16|Version!STRING:0\n` +
+        `eu|0|${'0'.repeat(32)}|1.0.0\nus|1|${buildKey}|1.6.80000\n`);
+}
+
+writeStorage();
+
+// Storage reads: chunked BLTE (Z + N), nested TVFS, case-insensitive lookup.
+let casc = new CascStorage(gameDir).open();
+assert.equal(casc.readFile('data/global/excel/armor.txt').toString(), kArmorTxt);
+assert.equal(casc.readFile('Data\\Global\\Excel\\Armor.txt').toString(), kArmorTxt);
+assert.equal(casc.readFile('data/local/lng/strings/item-names.json').toString(), kItemNamesJson);
+assert.equal(casc.readFile('data/global/excel/weapons.txt'), null);
+assert.deepEqual(casc.listFiles([ 'data/global/**' ]), [ 'data/global/excel/armor.txt' ]);
+assert.equal(casc.listFiles([]).length, 2);
+casc.close();
+
+// Resolver: CASC is the lowest priority input, below base input.
+let baseInputDir = path.join(tmpDir, 'input');
+fs.mkdirSync(path.join(baseInputDir, 'local', 'lng', 'strings'), { recursive: true });
+fs.writeFileSync(path.join(baseInputDir, 'local', 'lng', 'strings', 'item-names.json'), '[]');
+let resolver = new FileResolver({ outputPath: path.join(tmpDir, 'out', 'data'), baseInputPath: baseInputDir, userInputPath: null, cascPath: gameDir });
+let [ armorContent, armorErr, armorInfo ] = resolver.readAutoInputFileSync('global\\excel\\armor.txt');
+assert.equal(armorErr, null);
+assert.equal(armorContent, kArmorTxt);
+assert.ok(armorInfo.realPath.startsWith('casc:') && armorInfo.realPath.endsWith(':data/global/excel/armor.txt'), armorInfo.realPath);
+assert.equal(resolver.readAutoInputFileSync('local/lng/strings/item-names.json')[0], '[]');
+assert.deepEqual(resolver.describeInputLayers('local/lng/strings/item-names.json').map(({ name, found }) => [ name, found ]), [ [ 'base', true ], [ 'casc', true ] ]);
+assert.deepEqual(resolver.listDirectory('global'), [ { name: 'excel', isDirectory: true } ]);
+assert.deepEqual(resolver.listDirectory('local/lng/strings'), [ { name: 'item-names.json', isDirectory: false } ]);  // In base and CASC
+let resolverNoBase = new FileResolver({ outputPath: path.join(tmpDir, 'out', 'data'), baseInputPath: null, userInputPath: null, cascPath: gameDir });
+assert.equal(resolverNoBase.readAutoInputFileSync('local/lng/strings/item-names.json')[0], kItemNamesJson.slice(1));  // BOM stripped
+assert.equal(resolverNoBase.readAutoInputFileSync('global/excel/weapons.txt')[0], null);
+
+// extract command
+let extractDir = path.join(tmpDir, 'extract');
+child_process.execFileSync(process.execPath, [ path.join(__dirname, 'casc.js'), 'extract', gameDir, extractDir, 'data/**/*.json' ], { stdio: 'pipe', timeout: 30000 });
+assert.equal(fs.readFileSync(path.join(extractDir, 'data', 'local', 'lng', 'strings', 'item-names.json'), 'utf-8'), kItemNamesJson);
+assert.ok(!fs.existsSync(path.join(extractDir, 'data', 'global')));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+console.log('casc_test: OK');
@@ -0,0 +1,220 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const jsonc = require('jsonc-parser');
+
+const { tryParseJSON, suggestName } = require('./utils');
+
+const kBaseConfigTemplates = [ 'default.jsonc' ];
+const kTaskConfigTemplates = [ 'default_task.jsonc', 'd2s_task.jsonc' ];
+const kD2SCommands = [ 'export', 'import', 'patch', 'migrate' ];
+// Options of main.js itself, not config keys.
+const kToolOptions = { help: 'boolean', profile: 'string', watch: 'boolean' };
+// Shorthand options: config key, and whether the option appends to a list.
+const kOptionAliases = {
+    output: [ 'path_override_output_data', false ],
+    'exclude-mod': [ 'exclude_mods', true ],
+    'include-mod': [ 'include_mods', true ],
+};
+
+/**
+ * @typedef {{ key: string, value: string, comments: string[] }} ConfigOption  value: JSON text of template value
+ * @typedef {{ scope: 'base'|'task', key: string, value: any, append?: boolean }} ConfigOverride
+ * @typedef {{ command: 'run'|'diff'|'help', args: string[], mode?: string, defaultTaskConfigFilepath?: string, overrides: ConfigOverride[],
+ *     help: boolean, profile?: string, watch: boolean }} CommandLine  args: positional arguments (raw arguments for diff)
+ */
+
+/**
+ * Top-level options of a JSONC config template, with their comments: lines above the option, and trailing comment on the same line.
+ * Commented-out options (e.g. `// "key": value,`) are included.
+ * @returns {Map<string, ConfigOption>}
+ */
+function describeConfigTemplate(filepath) {
+    let text = fs.readFileSync(filepath, 'utf-8'), [ template ] = tryParseJSON(text, 'jsonc');
+    let /** @type {Map<string, ConfigOption>} */ options = new Map(), depth = 0, pendingComments = [], lastOption = null, lastLine = -1;
+    const addOption = (key, value, line) => {
+        lastOption = { key, value, comments: pendingComments };
+        lastLine = line;
+        pendingComments = [];
+        if (!options.has(key)) options.set(key, lastOption);
+    };
+    jsonc.visit(text, {
+        onObjectBegin: () => { depth++; }, onObjectEnd: () => { depth--; },
+        onArrayBegin: () => { depth++; }, onArrayEnd: () => { depth--; },
+        onObjectProperty: (property, offset, length, startLine) => {
+            if (depth === 1) addOption(property, JSON.stringify(template?.[property]), startLine);
+        },
+        onComment: (offset, length, startLine) => {
+            if (depth !== 1) return;
+            let comment = text.slice(offset, offset + length).replace(/^\/\/ ?|^\/\*|\*\/$/g, '').trimEnd();
+            if (lastOption && startLine === lastLine) return lastOption.comments.push(comment.trim());
+            let match = /^\s*"(\w+)":\s*(.+?),?$/.exec(comment);
+            if (match) return addOption(match[1], match[2], startLine);
+            pendingComments.push(comment);
+        },
+    }, { allowTrailingComma: true });
+    return options;
+}
+
+/** Template options of base config and task config: merged over templates, comments of same key from different templates are joined. */
+function describeConfigTemplates() {
+    const describeAll = (filenames) => {
+        let /** @type {Map<string, ConfigOption>} */ merged = new Map();
+        for (let filename of filenames) {
+            for (let [ key, option ] of describeConfigTemplate(path.join(__dirname, filename))) {
+                if (key === 'extends') continue;  // Only in config files
+                if (!merged.has(key)) { merged.set(key, option); continue; }
+                let mergedOption = merged.get(key);
+                mergedOption.comments = mergedOption.comments.concat(option.comments.filter(s => !mergedOption.comments.includes(s)));
+            }
+        }
+        return merged;
+    };
+    return { base: describeAll(kBaseConfigTemplates), task: describeAll(kTaskConfigTemplates) };
+}
+
+function formatConfigOptions(options) {
+    return [ ...options.values() ].map(({ key, value, comments }) => {
+        let lines = [ `  --${key.replace(/_/g, '-')}  (default: ${value ?? 'unset'})` ];
+        for (let comment of comments) lines.push(`      ${comment}`);
+        return lines.join('\n');
+    }).join('\n');
+}
+
+/** Help text of main.js: commands, tool options, and config options generated from the config templates. */
+function formatHelp(scriptName) {
+    let templates = describeConfigTemplates();
+    return `
+Usage: node ${scriptName} [run] [OPTIONS] [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc] [SAVE-FILES...]
+       node ${scriptName} d2s ${kD2SCommands.join('|')} [OPTIONS] [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc] [SAVE-FILES...]
+       node ${scriptName} mods list [OPTIONS] [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc]
+       node ${scriptName} restore [OPTIONS] [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc]
+       node ${scriptName} resolve [OPTIONS] [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc] <REL-PATH>...
+       node ${scriptName} package [OPTIONS] [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc] [<PACKAGE.zip>]
+       node ${scriptName} install [OPTIONS] [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc] <PACKAGE.zip>
+       node ${scriptName} diff [--format=text|json|patch|none] <src> [<dst>]
+Commands:
+  run (default): run task of task config mode.
+  d2s ${kD2SCommands.join('|')}: run d2s.* task mode. (default task config: ${kTaskConfigTemplates[1]})
+  mods list: list installed and enabled mods, in run order. (task mode d2rmm.list)
+  restore: swap game mod dir with the previous build kept by staged_output. (task mode d2rmm.restore)
+  resolve: show which input layer each rel-path (e.g. global/excel/armor.txt) resolves from, and which layers it shadows. (task mode d2rmm.resolve)
+  package: zip game mod dir with provenance of its mods and checksums. (default: <MOD>.zip; task mode d2rmm.package)
+  install: verify package checksums and install it as game mod dir; the replaced build can be restored. (task mode d2rmm.install)
+  diff: compare files or dirs, see diff.js.
+Default config files ${kBaseConfigTemplates[0]}/${kTaskConfigTemplates[0]} are used if <CONFIG-FILE.jsonc>/<TASK-CONFIG-FILE.jsonc> are not given.
+Options:
+  --help: print this help.
+  --profile=PROFILE: select a profile from task config "profiles".
+  --watch: (d2rmm mode) re-run on changes of enabled mods, extern lib js and user input data, and print changed output files.
+  --output=PATH: same as --path-override-output-data=PATH
+  --exclude-mod=MOD, --include-mod=MOD: add MOD to task config exclude_mods/include_mods. (repeatable)
+  --KEY=VALUE, --KEY, --no-KEY: override config KEY (kebab-case or snake_case) of base or task config, e.g. --dry-run, --log-level=info.
+      VALUE is parsed as JSON, or taken as string; list values also take comma-separated strings. --KEY is true; --no-KEY is false.
+      Prefix base./task. selects the config file if KEY exists in both, e.g. --task.dry-run. (default: both)
+Base config options:
+${formatConfigOptions(templates.base)}
+Task config options:
+${formatConfigOptions(templates.task)}
+`.replace(/^\n/, '');
+}
+
+/** Value of --KEY=VALUE by type of template value: strings as is; others JSON, or string. Lists also take comma-separated string. */
+function parseOptionValue(value, templateValue) {
+    if (typeof templateValue === 'string') return value;
+    let [ json ] = tryParseJSON(value, 'json');
+    if (Array.isArray(templateValue) && !Array.isArray(json)) return value.split(',').filter(s => s);
+    return json !== undefined ? json : value;
+}
+
+/**
+ * Parse main.js command line. Without a command, arguments are positional config files as before (run).
+ * @param {string[]} argv  @returns {[ ?CommandLine, ?string ]}  command line, error
+ */
+function parseCommandLine(argv) {
+    let /** @type {CommandLine} */ cmdline = { command: 'run', args: [], overrides: [], help: false, watch: false };
+    argv = argv.slice();
+    if (argv[0] === 'run' || argv[0] === 'help') {
+        cmdline.command = argv.shift();
+        cmdline.help = cmdline.command === 'help';
+    } else if (argv[0] === 'diff') {
+        cmdline.command = argv.shift();
+        cmdline.args = argv;
+        return [ cmdline, null ];
+    } else if (argv[0] === 'd2s') {
+        argv.shift();
+        let subcommand = argv.shift();
+        if (!kD2SCommands.includes(subcommand)) return [ null, `Unknown command: d2s ${subcommand ?? ''}` ];
+        cmdline.mode = `d2s.${subcommand}`;
+        cmdline.defaultTaskConfigFilepath = path.join(__dirname, kTaskConfigTemplates[1]);
+    } else if ([ 'restore', 'resolve', 'package', 'install' ].includes(argv[0])) {
+        cmdline.mode = `d2rmm.${argv.shift()}`;
+    } else if (argv[0] === 'mods') {
+        argv.shift();
+        let subcommand = argv.shift();
+        if (subcommand !== 'list') return [ null, `Unknown command: mods ${subcommand ?? ''}` ];
+        cmdline.mode = 'd2rmm.list';
+    }
+    if (cmdline.mode) cmdline.overrides.push({ scope: 'task', key: 'mode', value: cmdline.mode });
+
+    let templates = null, positionalOnly = false;
+    for (let arg of argv) {
+        if (positionalOnly || !arg.startsWith('--')) { cmdline.args.push(arg); continue; }
+        if (arg === '--') { positionalOnly = true; continue; }
+        let [ , name, value ] = /^--([^=]+)(?:=(.*))?$/s.exec(arg) ?? [];
+        if (!name) return [ null, `Invalid option: ${arg}` ];
+        if (Object.hasOwn(kToolOptions, name)) {
+            if ((kToolOptions[name] === 'string') !== (value !== undefined)) return [ null, `Invalid option: ${arg}` ];
+            cmdline[name] = value ?? true;
+            continue;
+        }
+        if (Object.hasOwn(kOptionAliases, name)) {
+            let [ key, append ] = kOptionAliases[name];
+            if (!value) return [ null, `Missing value of option: ${arg}` ];
+            cmdline.overrides.push({ scope: append ? 'task' : 'base', key, value, append });
+            continue;
+        }
+        templates ??= describeConfigTemplates();
+        let negate = value === undefined && name.startsWith('no-');
+        let [ , scope, key ] = /^(?:(base|task)\.)?(.+)$/.exec(negate ? name.slice(3) : name);
+        key = key.replace(/-/g, '_');
+        let scopes = (scope ? [ scope ] : [ 'base', 'task' ]).filter(scope => templates[scope].has(key) && key !== 'extends');
+        if (scopes.length === 0) {
+            let suggestion = suggestName(key, Object.keys(kOptionAliases).concat(Object.keys(kToolOptions)).map(s => s.replace(/-/g, '_'))
+                .concat([ ...templates.base.keys(), ...templates.task.keys() ]));
+            return [ null, `Unknown option: ${arg}` + (suggestion ? ` (did you mean --${suggestion.replace(/_/g, '-')}?)` : '') ];
+        }
+        for (let scope of scopes) {
+            let templateValue = tryParseJSON(templates[scope].get(key).value ?? 'null', 'jsonc')[0];
+            cmdline.overrides.push({ scope, key, value: value === undefined ? !negate : parseOptionValue(value, templateValue) });
+        }
+    }
+    return [ cmdline, null ];
+}
+
+/**
+ * Apply command line overrides to loaded configs.
+ * @param {import('./main').Config} baseConfig  @param {import('./main').TaskConfig} taskConfig  @param {ConfigOverride[]} overrides
+ */
+function applyConfigOverrides(baseConfig, taskConfig, overrides) {
+    for (let { scope, key, value, append } of overrides) {
+        let config = scope === 'base' ? baseConfig : taskConfig;
+        if (append) config[key] = (config[key] ?? []).concat(value);
+        else config[key] = value;
+        console.info(`Command line: ${scope} config ${key} = ${JSON.stringify(config[key])}`);
+    }
+}
+
+module.exports = { parseCommandLine, applyConfigOverrides, formatHelp, describeConfigTemplate };
@@ -0,0 +1,33 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+
+const { parseCommandLine } = require('./cli');
+
+/** @returns {Object.<string, any>} scope.key : value */
+function parseOverrides(...argv) {
+    let [ cmdline, err ] = parseCommandLine(argv);
+    assert.equal(err, null);
+    return Object.fromEntries(cmdline.overrides.map(({ scope, key, value }) => [ `${scope}.${key}`, value ]));
+}
+
+// Values are coerced by type of template value: string options are never JSON-parsed.
+assert.deepEqual(parseOverrides('--override-output-mod-name=2024', '--base.path-override-d2r-game=null'),
+    { 'base.override_output_mod_name': '2024', 'base.path_override_d2r_game': 'null' });
+assert.deepEqual(parseOverrides('--clean-output-dir=false', '--no-staged-output', '--provenance-manifest=cell'),
+    { 'task.clean_output_dir': false, 'task.staged_output': false, 'task.provenance_manifest': 'cell' });
+assert.deepEqual(parseOverrides('--exclude-mods=2024', '--include-mods=["A,1", "B"]', '--sandbox-mods=A,B'),
+    { 'task.exclude_mods': [ '2024' ], 'task.include_mods': [ 'A,1', 'B' ], 'task.sandbox_mods': [ 'A', 'B' ] });
+assert.deepEqual(parseOverrides('--mod-config-overrides={"ModA":{"lvl":2}}'), { 'task.mod_config_overrides': { ModA: { lvl: 2 } } });
+
+console.log('cli_test: OK');
@@ -0,0 +1,153 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const util = require('node:util');
+
+const { nativePath, tryParseJSON, suggestName } = require('./utils');
+
+/**
+ * type: string, boolean, number, string[], array, object, or allowed values.  modes: task modes using the option (prefix before '.' matches all).
+ * @typedef {{ type: string|string[], modes?: string[] }} ConfigOptionSchema
+ */
+
+const kTaskModes = [ 'd2rmm', 'd2rmm.sync', 'd2rmm.list', 'd2rmm.restore', 'd2rmm.resolve', 'd2rmm.package', 'd2rmm.install', 'd2s.export', 'd2s.import', 'd2s.migrate', 'd2s.patch' ];
+
+/** @type {Object.<string, ConfigOptionSchema>} */
+const kBaseConfigSchema = {
+    extends: { type: 'string' },
+    d2rmm_path: { type: 'string' },
+    settings_provider: { type: [ 'leveldb', 'file', 'none' ] },
+    path_settings_file: { type: 'string' },
+    override_output_mod_name: { type: 'string' },
+    path_override_d2rmm_mods: { type: 'string' },
+    save_path: { type: 'string' },
+    path_override_d2r_game: { type: 'string' },
+    path_override_output_data: { type: 'string' },
+    path_override_input_data: { type: 'string' },
+    path_user_input_data: { type: 'string' },
+    input_layers: { type: 'array' },
+    path_casc_input: { type: 'string' },
+    path_extern_libjs: { type: 'string' },
+    path_incremental_cache: { type: 'string' },
+    d2rmm_config_completion: { type: 'boolean' },
+    d2rmm_config_invalid: { type: [ 'keep', 'coerce', 'drop' ] },
+    log_level: { type: [ 'error', 'warn', 'info', 'log', 'debug' ] },
+    log_timestamps: { type: 'boolean' },
+    dry_run: { type: 'boolean' },
+};
+
+/** @type {Object.<string, ConfigOptionSchema>} */
+const kTaskConfigSchema = {
+    extends: { type: 'string' },
+    mode: { type: kTaskModes },
+    override_ordered_mods: { type: 'string[]', modes: [ 'd2rmm' ] },
+    exclude_mods: { type: 'string[]', modes: [ 'd2rmm' ] },
+    include_mods: { type: 'string[]', modes: [ 'd2rmm' ] },
+    mod_config_overrides: { type: 'object', modes: [ 'd2rmm' ] },
+    profiles: { type: 'object', modes: [ 'd2rmm' ] },
+    profile: { type: 'string', modes: [ 'd2rmm' ] },
+    clean_output_dir: { type: 'boolean', modes: [ 'd2rmm' ] },
+    staged_output: { type: 'boolean', modes: [ 'd2rmm' ] },
+    auto_order_mods: { type: 'boolean', modes: [ 'd2rmm' ] },
+    continue_on_error: { type: 'boolean', modes: [ 'd2rmm' ] },
+    sandbox: { type: 'boolean', modes: [ 'd2rmm' ] },
+    sandbox_mods: { type: 'string[]', modes: [ 'd2rmm' ] },
+    output_copy_user_input_files: { type: 'boolean', modes: [ 'd2rmm' ] },
+    analyze_mod_conflicts: { type: 'boolean', modes: [ 'd2rmm' ] },
+    provenance_manifest: { type: [ 'off', 'file', 'cell' ], modes: [ 'd2rmm' ] },
+    incremental: { type: 'boolean', modes: [ 'd2rmm' ] },
+    path_override_save_path: { type: 'string', modes: [ 'd2rmm', 'd2s' ] },
+    input_saves: { type: 'string[]', modes: [ 'd2s' ] },
+    path_excel_input_data: { type: 'string', modes: [ 'd2s' ] },
+    path_aux_excel_input_data: { type: 'string', modes: [ 'd2s.migrate' ] },
+    bind_txt: { type: 'object', modes: [ 'd2s.import', 'd2s.migrate' ] },
+    always_patch: { type: 'boolean', modes: [ 'd2s' ] },
+    patch_jobs: { type: 'object', modes: [ 'd2s' ] },
+    dry_run: { type: 'boolean' },
+};
+
+function isPlainObject(value) { return typeof value === 'object' && value !== null && !Array.isArray(value); }
+
+function checkType(value, type) {
+    if (Array.isArray(type)) return type.includes(value);
+    switch (type) {
+    case 'string[]': return Array.isArray(value) && value.every(s => typeof s === 'string');
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return typeof value === type;
+    }
+}
+
+function formatType(type) { return Array.isArray(type) ? `one of ${type.map(s => JSON.stringify(s)).join(', ')}` : type; }
+
+function isModeMatched(mode, modes) { return modes.some(m => m === mode || m === mode.split('.')[0]); }
+
+/**
+ * Check config against schema: unknown keys (with suggestion), type errors, and (task config) options not used by the task mode.
+ * null values are taken as unset.
+ * @param {Object} config  @param {'base'|'task'} kind  @param {?Set<string>} ownKeys  check mode of these keys only (not inherited by extends)
+ * @returns {[ string[], string[] ]}  errors, warnings
+ */
+function validateConfig(config, kind, ownKeys = null) {
+    let schema = kind === 'base' ? kBaseConfigSchema : kTaskConfigSchema, errors = [], warnings = [];
+    let mode = kind === 'task' ? config.mode || 'd2rmm' : null;
+    for (let [ key, value ] of Object.entries(config)) {
+        let optionSchema = schema[key];
+        if (!optionSchema) {
+            let otherSchema = kind === 'base' ? kTaskConfigSchema : kBaseConfigSchema;
+            let suggestion = suggestName(key, Object.keys(schema));
+            warnings.push(`Unknown ${kind} config option: ${key}` + (suggestion ? ` (did you mean ${suggestion}?)` :
+                (otherSchema[key] ? ` (it is a ${kind === 'base' ? 'task' : 'base'} config option)` : '')));
+            continue;
+        }
+        if (value === null) continue;
+        if (!checkType(value, optionSchema.type)) errors.push(`Invalid ${kind} config option: ${key}: ${util.inspect(value)} is not ${formatType(optionSchema.type)}`);
+        if (mode && optionSchema.modes && !isModeMatched(mode, optionSchema.modes) && (!ownKeys || ownKeys.has(key)))
+            warnings.push(`Task config option ${key} is not used in mode ${mode} (only in: ${optionSchema.modes.join(', ')})`);
+    }
+    return [ errors, warnings ];
+}
+
+/** Merge config over its base: objects are merged recursively, other values replaced. */
+function mergeConfig(baseConfig, config) {
+    let merged = Object.assign({}, baseConfig);
+    for (let [ key, value ] of Object.entries(config)) merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeConfig(merged[key], value) : value;
+    return merged;
+}
+
+/**
+ * Load JSONC config file, following "extends": path of config to inherit from, relative to the config file (or else to project folder).
+ * e.g. "extends": "default.jsonc"
+ * @returns {[ ?Object, ?Error, ?Set<string> ]}  config, error, keys set by the file itself
+ */
+function loadConfigFile(filepath, visited = []) {
+    let absPath = path.resolve(filepath);
+    if (visited.includes(absPath)) return [ null, new Error(`Config extends loop: ${visited.concat(absPath).join(' => ')}`) ];
+    let content;
+    try { content = fs.readFileSync(absPath, 'utf-8'); } catch (e) { return [ null, e ]; }
+    let [ config, , err ] = tryParseJSON(content, 'jsonc');
+    if (err) return [ null, new SyntaxError(`Invalid config file: ${filepath} | ${err.message}`) ];
+    if (!isPlainObject(config)) return [ null, new SyntaxError(`Invalid config file: ${filepath} | not an object`) ];
+    if (config.extends === undefined || config.extends === null) return [ config, null, new Set(Object.keys(config)) ];
+    if (typeof config.extends !== 'string') return [ null, new TypeError(`Invalid config file: ${filepath} | extends is not string`) ];
+    let basePath = path.resolve(path.dirname(absPath), nativePath(config.extends));
+    if (!fs.existsSync(basePath)) basePath = path.resolve(__dirname, nativePath(config.extends));
+    let [ baseConfig, baseErr ] = loadConfigFile(basePath, visited.concat(absPath));
+    if (baseErr) return [ null, baseErr ];
+    console.info(`Config: ${filepath} extends: ${basePath}`);
+    let { extends: _, ...ownConfig } = config;
+    return [ mergeConfig(baseConfig, ownConfig), null, new Set(Object.keys(ownConfig)) ];
+}
+
+module.exports = { kTaskModes, kBaseConfigSchema, kTaskConfigSchema, validateConfig, loadConfigFile };
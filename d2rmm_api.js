@@ -13,7 +13,7 @@ const fs = require('node:fs');
 const path = require('node:path');
 
 const { FileResolver } = require('./resolver');
-const { cpSync, mkdirSync, tryParseJSON } = require('./utils');
+const { cpSync, mkdirSync, readFileSyncNoThrow, writeFileSync, tryParseJSON } = require('./utils');
 const prettyStringify = require('json-stringify-pretty-compact');
 
 
@@ -23,14 +23,49 @@ const prettyStringify = require('json-stringify-pretty-compact');
  * @typedef {{ headers: TSVHeader, rows: TSVRow[] }} TSVData
  */
 
+const kEmulatedVersion = [ 1, 7, 0 ];
+const kEmulatedVersionString = `v${kEmulatedVersion.join('.')}`;
+
+/** Known D2RMM APIs newer than emulated version : D2RMM version adding it. Other unknown names are undefined, so mods may feature-detect. */
+const kNewerAPIVersions = {};
+
+/** Known newer D2RMM API on SimD2RMM: mods calling it fail with a clear error instead of "is not a function". */
+function makeUnsupportedAPI(name) {
+    return () => { throw new Error(`D2RMM: unsupported API ${name} (needs D2RMM v${kNewerAPIVersions[name]}, emulated: ${kEmulatedVersionString})`); };
+}
+
+/** Text format override of write APIs (d2rmp extension): only given fields.  @returns {Partial<import('./utils').TextFormat>} */
+function pickTextFormat({ bom, eol, encoding } = {}) {
+    if (eol !== undefined && eol !== '\n' && eol !== '\r\n') throw new Error(`Invalid text format eol: ${JSON.stringify(eol)}`);
+    if (encoding !== undefined && encoding !== 'utf-8' && encoding !== 'utf-16le') throw new Error(`Invalid text format encoding: ${JSON.stringify(encoding)}`);
+    return Object.fromEntries(Object.entries({ bom: bom === undefined ? undefined : !!bom, eol, encoding }).filter(([ , value ]) => value !== undefined));
+}
+
 class SimD2RMM {
-    /** @param {FileResolver} resolver */
-    constructor(resolver, modData) {
+    /** @param {FileResolver} resolver  @param {{ getSaveDir?: () => string }} */
+    constructor(resolver, modData, { getSaveDir } = {}) {
         this._resolver = resolver;
         this._modData = modData;
+        this._getSaveDir = getSaveDir ?? (() => { throw new Error(`D2RMM: save dir not configured`); });
+        return new Proxy(this, {
+            get: (target, prop, receiver) => {
+                if (typeof prop !== 'string' || prop in target || !Object.hasOwn(kNewerAPIVersions, prop)) return Reflect.get(target, prop, receiver);
+                return makeUnsupportedAPI(prop);
+            },
+            has: (target, prop) => prop in target || (typeof prop === 'string' && Object.hasOwn(kNewerAPIVersions, prop)),
+        });
     }
 
-    getVersion() { return 1.5; }
+    getVersion() { return parseFloat(kEmulatedVersion.slice(0, 2).join('.')); }
+    getFullVersion() { return kEmulatedVersion.slice(); }
+
+    getConfigJSON() { return JSON.stringify(this._modData.config); }
+
+    /** D2RMM shows the error and stops installing the mod. */
+    error(message) {
+        if (message instanceof Error) throw message;
+        throw new Error(`${this._modData.name}: ${message}`);
+    }
 
     readTxt(txtPath) {
         let [ content, error ] = this._resolver.readAutoInputFileSync(txtPath);
@@ -39,13 +74,14 @@ class SimD2RMM {
         return content || '';
     }
     
-    writeTxt(txtPath, content) {
-        this._resolver.updateOutputFile(txtPath, content);
+    /** @param {{ bom?: boolean, eol?: string, encoding?: string }} format  override text format (default: as input file) */
+    writeTxt(txtPath, content, format) {
+        this._resolver.updateOutputFile(txtPath, content, { writer: this._modData.name, format: pickTextFormat(format) });
     }
 
     readJson(jsonPath) {
         let [ content, error, outputInfo ] = this._resolver.readAutoInputFileSync(jsonPath);
-        if (error) {  error.extra = `readJson: ${jsonPath}`; return error; }
+        if (error) { error.extra = `readJson: ${jsonPath}`; throw error; }
         if (content === null) throw new Error(`Input File Not Found: ${jsonPath}`);
         // D2RMM uses json5 to parse, however probably jsonc is sufficient.
         let [ json, type, parseError ] = tryParseJSON(content, outputInfo.type);
@@ -55,8 +91,8 @@ class SimD2RMM {
         return json;
     }
 
-    /** @param {string} jsonPath  @param {{ indent?: string|number, width?: number }} */
-    writeJson(jsonPath, json, { indent, width } = {}) {
+    /** @param {string} jsonPath  @param {{ indent?: string|number, width?: number, bom?: boolean, eol?: string, encoding?: string }} */
+    writeJson(jsonPath, json, { indent, width, ...format } = {}) {
         let content;
         if (width === undefined && indent === undefined) {
             content = JSON.stringify(json);
@@ -64,17 +100,17 @@ class SimD2RMM {
             const indentUnit = typeof indent === 'string' ? indent : ' '.repeat(indent ?? 0);
             content = prettyStringify(json, { indent: indentUnit, maxLength: width })
         }
-        let [ ,, outputInfo ] = this._resolver.updateOutputFile(jsonPath, content, { addBOM: false });
+        let [ ,, outputInfo ] = this._resolver.updateOutputFile(jsonPath, content, { writer: this._modData.name, format: pickTextFormat(format) });
         outputInfo.type = 'json';
     }
 
     /** @param {string} tsvPath  @returns {TSVData} */
     readTsv(tsvPath) {
         let [ content, error ] = this._resolver.readAutoInputFileSync(tsvPath);
-        if (error) { error.extra = `readTsv: ${tsvPath}`; return error; }
+        if (error) { error.extra = `readTsv: ${tsvPath}`; throw error; }
         if (content === null) throw new Error(`Input File not Found: ${tsvPath}`);
         // if (content === null) return { headers: [], rows: [] };
-        const [ headersRaw, ...rowsRaw ] = content.split('\n');
+        const [ headersRaw, ...rowsRaw ] = content.split(/\r?\n/);  // Game files use CRLF; written back with format of input
         const headers = headersRaw.split('\t');
         const rows = [];
         for (let rowStr of rowsRaw) {
@@ -86,13 +122,19 @@ class SimD2RMM {
         return { headers, rows };
     }
 
-    /** @param {string} tsvPath  @param {TSVData} tsvData */
-    writeTsv(tsvPath, tsvData) {
+    /** @param {string} tsvPath  @param {TSVData} tsvData  @param {{ bom?: boolean, eol?: string, encoding?: string }} format */
+    writeTsv(tsvPath, tsvData, format) {
         const { headers, rows } = tsvData;
         const headersRaw = headers.join('\t');
         const rowsRaw = rows.map((row) => headers.map((header) => row[header] ?? '').join('\t'));
         const content = [ headersRaw, ...rowsRaw, '' ].join('\n');
-        this._resolver.updateOutputFile(tsvPath, content);
+        this._resolver.updateOutputFile(tsvPath, content, { writer: this._modData.name, format: pickTextFormat(format) });
+    }
+
+    /** Entries of a game data dir: outputs and input files, as mods would read them.  @param {string} mixedDirPath  @returns {{ name: string, isDirectory: boolean }[]} */
+    readDirectory(mixedDirPath) {
+        if (this._resolver.recorder) this._resolver.recorder.uncacheable = true;  // Dir listings are not tracked by incremental cache.
+        return this._resolver.listDirectory(mixedDirPath);
     }
 
     getNextStringID() { return this._resolver.acquireNextStringID(); }
@@ -104,7 +146,30 @@ class SimD2RMM {
         if (!fs.existsSync(srcPath)) throw new Error(`Invalid Copy Source: ${mixedSrcPath}`);
         mkdirSync(path.dirname(dstPath));
         cpSync(srcPath, dstPath, { force: !!overwrite });
+        this._resolver.recordOutputWriter(mixedDstPath, this._modData.name);
+        this._resolver.recorder?.copies.push({ srcPath, dstPath: mixedDstPath, overwrite: !!overwrite });
+    }
+
+    _getSaveFilePath(mixedFilePath) {
+        let saveDir = this._getSaveDir(), filePath = this._resolver.getNativePath(saveDir, mixedFilePath);
+        if (path.relative(saveDir, filePath).startsWith('..')) throw new Error(`Invalid Save File Path: ${mixedFilePath}`);
+        if (this._resolver.recorder) this._resolver.recorder.uncacheable = true;  // Save files are not tracked by incremental cache.
+        return filePath;
+    }
+
+    /** @param {string} mixedFilePath Relative to D2R save dir  @returns {?Buffer} */
+    readSaveFile(mixedFilePath) {
+        let [ content, error ] = readFileSyncNoThrow(this._getSaveFilePath(mixedFilePath), { binary: true });
+        if (error) { error.extra = `readSaveFile: ${mixedFilePath}`; throw error; }
+        return content;
+    }
+
+    /** @param {string} mixedFilePath Relative to D2R save dir  @param {Buffer|number[]} data */
+    writeSaveFile(mixedFilePath, data) {
+        let filePath = this._getSaveFilePath(mixedFilePath);
+        mkdirSync(path.dirname(filePath));
+        writeFileSync(filePath, Buffer.from(data), { binary: true });
     }
 }
 
-module.exports = { SimD2RMM };
+module.exports = { SimD2RMM, kEmulatedVersion };
@@ -10,24 +10,48 @@
 
 'use strict';
 
+const fs = require('node:fs');
 const path = require('node:path');
-const { fatal } = require('./utils');
-
-const { Level } = require('level')
+const { fatal, readFileSyncNoThrow, writeFileSync, cpSync, tryParseJSON } = require('./utils');
 
 
 const kElectronKeyPrefix = '_file://';
 
-async function loadD2RMMSettings(d2rmmPath) {
+/**
+ * D2RMM settings used by d2rmp. (Same keys as D2RMM settings storage)
+ * @typedef {{ 'paths'?: string, 'output-mod-name'?: string, 'mods-order': string[], 'enabled-mods': Object.<string, boolean>,
+ *     'pre-extracted-data'?: boolean, 'pre-extracted-data-path'?: string }} D2RMMSettings
+ */
+
+// Chromium localStorage value: '01' + latin-1 bytes, or '00' + UTF-16LE bytes.
+function decodeLocalStorageValue(rawValue) { return rawValue.subarray(1).toString(rawValue[0] === 0 ? 'utf16le' : 'latin1'); }
+function encodeLocalStorageValue(value) {
+    return /^[\x00-\xff]*$/.test(value) ? Buffer.concat([ Buffer.from([ 1 ]), Buffer.from(value, 'latin1') ]) : Buffer.concat([ Buffer.from([ 0 ]), Buffer.from(value, 'utf16le') ]);
+}
+
+function getLevelDBPath(d2rmmPath) { return path.join(d2rmmPath, 'Local Storage', 'leveldb'); }
+
+/** D2RMM (electron) holds the lock of its leveldb while running. */
+async function openLevelDB(dbPath, options) {
+    const { Level } = require('level');  // Only required by leveldb provider.
+    const db = new Level(dbPath, Object.assign({ createIfMissing: false }, options));
+    try { await db.open(); } catch (e) {
+        if (e.code === 'LEVEL_LOCKED' || e.cause?.code === 'LEVEL_LOCKED') fatal(`D2RMM settings storage is locked (is D2RMM running?): ${dbPath}`);
+        throw e;
+    }
+    return db;
+}
+
+async function loadLevelDBSettings(d2rmmPath) {
     // Default options (keyEncoding/valueEncoding = 'utf8') seems to work.
     // But electron leveldb seems to have some binary (type?) prefix at key/value.
-    // e.g. key prefix: '00 01', value prefix: '01'
-    const db = new Level(path.join(d2rmmPath, 'Local Storage', 'leveldb'), { createIfMissing: false });
+    // e.g. key prefix: '00 01', value prefix: '01' (latin-1)
+    const db = await openLevelDB(getLevelDBPath(d2rmmPath), { valueEncoding: 'buffer' });
     const kJSONKeys = [ 'direct-mod', 'enabled-mods', 'mods-order', 'pre-extracted-data', ];
     let d2rmmSettings = {};
     for await (const [rawKey, rawValue] of db.iterator()) {
         if (!rawKey.startsWith(kElectronKeyPrefix)) continue;
-        let key = rawKey.slice(kElectronKeyPrefix.length).slice(2), value = rawValue.slice(1);
+        let key = rawKey.slice(kElectronKeyPrefix.length).slice(2), value = decodeLocalStorageValue(rawValue);
         // console.debug(key, typeof value, value);
         if (kJSONKeys.includes(key)) {
             try { d2rmmSettings[key] = JSON.parse(value); } catch (e) {
@@ -42,4 +66,79 @@ async function loadD2RMMSettings(d2rmmPath) {
     return d2rmmSettings;
 }
 
-module.exports = { loadD2RMMSettings };
+
+/**
+ * Write settings (JSON values) back to D2RMM's leveldb. Existing raw keys are reused; the leveldb dir is backed up first.
+ * @param {Object.<string, any>} updates  setting key : value
+ */
+async function saveLevelDBSettings(d2rmmPath, updates) {
+    let dbPath = getLevelDBPath(d2rmmPath);
+    const db = await openLevelDB(dbPath, { keyEncoding: 'buffer', valueEncoding: 'buffer' });
+    try {
+        let backupPath = `${dbPath}.bak-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        console.info(`Back up D2RMM settings storage: ${dbPath} => ${backupPath}`);
+        cpSync(dbPath, backupPath, { throwError: true });  // Lock is held: D2RMM cannot write meanwhile.
+        let rawKeys = new Map(), prefix = Buffer.from(kElectronKeyPrefix);
+        for await (const rawKey of db.keys()) {
+            if (rawKey.subarray(0, prefix.length).equals(prefix)) rawKeys.set(rawKey.subarray(prefix.length + 2).toString('latin1'), rawKey);
+        }
+        let batch = db.batch();
+        for (let [ key, value ] of Object.entries(updates)) {
+            let rawKey = rawKeys.get(key) ?? Buffer.concat([ prefix, Buffer.from([ 0, 1 ]), Buffer.from(key, 'latin1') ]);
+            console.info(`Write D2RMM setting: ${key}${rawKeys.has(key) ? '' : ' (new)'}`);
+            batch.put(rawKey, encodeLocalStorageValue(typeof value === 'string' ? value : JSON.stringify(value)));
+        }
+        if (!dryrun) await batch.write(); else { console.warn(`DRY-RUN: write D2RMM settings: ${dbPath}`); await batch.close(); }
+    } finally {
+        await db.close();
+    }
+}
+
+/** Settings file (JSONC) with D2RMM settings keys. enabled-mods can also be a list of mod names.  @returns {D2RMMSettings} */
+function loadFileSettings(settingsPath) {
+    if (!settingsPath) fatal(`Settings provider "file" requires path_settings_file`);
+    let [ content, err ] = readFileSyncNoThrow(settingsPath);
+    if (err || content === null) fatal(`Cannot read settings file: ${settingsPath}`);
+    let [ settings, , parseErr ] = tryParseJSON(content, 'jsonc');
+    if (parseErr) fatal(`Invalid settings file: ${settingsPath} | ${parseErr.message}`);
+    if (Array.isArray(settings['enabled-mods'])) settings['enabled-mods'] = Object.fromEntries(settings['enabled-mods'].map(name => [ name, true ]));
+    return settings;
+}
+
+/**
+ * Load D2RMM settings from provider: leveldb (D2RMM's storage), file (path_settings_file), none (everything from config).
+ * @param {{ settings_provider?: string, d2rmm_path?: string, path_settings_file?: string }} baseConfig  @returns {Promise<D2RMMSettings>}
+ */
+async function loadD2RMMSettings(baseConfig) {
+    let provider = baseConfig.settings_provider || 'leveldb', settings;
+    console.info(`Load D2RMM settings from: ${provider}`);
+    if (provider === 'leveldb') {
+        if (!baseConfig.d2rmm_path || !fs.existsSync(baseConfig.d2rmm_path)) fatal(`Invalid D2RMM path, set d2rmm_path: ${baseConfig.d2rmm_path}`);
+        settings = await loadLevelDBSettings(baseConfig.d2rmm_path);
+    } else if (provider === 'file') {
+        settings = loadFileSettings(baseConfig.path_settings_file);
+    } else if (provider === 'none') {
+        settings = {};
+    } else {
+        fatal(`Invalid settings_provider: ${provider}`);
+    }
+    settings['mods-order'] ??= [];
+    settings['enabled-mods'] ??= {};
+    return settings;
+}
+
+/** @param {Object.<string, any>} updates  setting key : value */
+async function saveD2RMMSettings(baseConfig, updates) {
+    let provider = baseConfig.settings_provider || 'leveldb';
+    if (provider === 'leveldb') {
+        await saveLevelDBSettings(baseConfig.d2rmm_path, updates);
+    } else if (provider === 'file') {
+        let settings = Object.assign(loadFileSettings(baseConfig.path_settings_file), updates);
+        console.info(`Write D2RMM settings file: ${baseConfig.path_settings_file}`);
+        writeFileSync(baseConfig.path_settings_file, JSON.stringify(settings, null, 4) + '\n');
+    } else {
+        fatal(`Cannot write D2RMM settings with settings_provider: ${provider}`);
+    }
+}
+
+module.exports = { loadD2RMMSettings, loadLevelDBSettings, saveD2RMMSettings };
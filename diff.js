@@ -13,7 +13,9 @@
 const fs = require('node:fs');
 const path = require('node:path');
 
-const { readFileSyncNoThrow, readdirSafeSync } = require('./utils');
+const microdiff = require('microdiff').default;
+
+const { normalizePath, readTextFileSyncNoThrow, readdirSafeSync, tryParseJSON } = require('./utils');
 
 
 /**
@@ -77,200 +79,522 @@ function compareString(a, b) {
     }
 }
 
-function diffExistence(srcPath, dstPath) {
+/**
+ * Structured diff records, returned along with human readable description by diff functions. (null if no difference)
+ * @typedef {{ type: 'binary'|'text'|'json'|'tsv', status: 'modified'|'src-missing'|'dst-missing', srcPath?: string, dstPath?: string }} FileDiffReport
+ */
+
+function diffExistence(srcPath, dstPath, type) {
     let srcExists = fs.existsSync(srcPath), dstExists = fs.existsSync(dstPath);
     if (srcExists !== dstExists) {
         if (srcExists) {
-            return [ -1, `Destination Missing: ${srcPath}` ];
+            return [ -1, `Destination Missing: ${srcPath}`, { type, status: 'dst-missing' } ];
         } else {
-            return [ 1, `Source Missing: ${dstPath}` ];
+            return [ 1, `Source Missing: ${dstPath}`, { type, status: 'src-missing' } ];
         }
     }
-    return [ 0, '' ];
+    return [ 0, '', null ];
 }
 
+/** @returns {[ number, string, ?FileDiffReport ]} */
 function diffBinary(srcPath, dstPath) {
-    let rvExistence = diffExistence(srcPath, dstPath);
+    let rvExistence = diffExistence(srcPath, dstPath, 'binary');
     if (rvExistence[0] !== 0) return rvExistence;
     let srcBuf = fs.readFileSync(srcPath), dstBuf = fs.readFileSync(dstPath);
     let rv = dstBuf.compare(srcBuf);
-    return rv === 0 ? [ rv, '' ] : [ rv, 'diff' ];
+    return rv === 0 ? [ rv, '', null ] : [ rv, 'diff', { type: 'binary', status: 'modified' } ];
 }
 
-function diffTextBase(srcPath, dstPath) {
-    let rvExistence = diffExistence(srcPath, dstPath);
+function diffTextBase(srcPath, dstPath, type) {
+    let rvExistence = diffExistence(srcPath, dstPath, type);
     if (rvExistence[0] !== 0) return rvExistence;
-    let [ srcContent, srcErr ] = readFileSyncNoThrow(srcPath);
-    let [ dstContent, dstErr ] = readFileSyncNoThrow(dstPath);
+    // BOM and CRLF line endings are not differences.
+    let [ srcContent, srcErr ] = readTextFileSyncNoThrow(srcPath, { normalizeEol: true });
+    let [ dstContent, dstErr ] = readTextFileSyncNoThrow(dstPath, { normalizeEol: true });
     if (srcErr ?? dstErr) throw srcErr ?? dstErr;
     let c = compareString(dstContent, srcContent);
     if (c === 0) {
-        return [ 0, '' ];
+        return [ 0, '', null ];
     } else {
-        return [ c, 'text diff', srcContent, dstContent ];
+        return [ c, 'text diff', { type, status: 'modified' }, srcContent, dstContent ];
     }
 }
 
+/**
+ * String table entries are matched by id (or Key), other JSON is diffed structurally.
+ * @typedef {{ type: 'modified'|'added'|'removed', id?: number, Key?: string, fields?: { field: string, src: any, dst: any }[], values?: object }} JSONEntryDiff
+ * @typedef {FileDiffReport & { format: 'strings'|'structure', matchKey?: string, entries?: JSONEntryDiff[], changes?: object[],
+ *     summary: object }} JSONDiffReport
+ */
+/** @returns {[ number, string, ?(JSONDiffReport|FileDiffReport) ]} */
 function diffJSON(srcPath, dstPath) {
-    return diffTextBase(srcPath, dstPath).slice(0, 2);
+    let [ rvBase, descBase, reportBase, srcContent, dstContent ] = diffTextBase(srcPath, dstPath, 'json');
+    if (rvBase === 0 || reportBase.status !== 'modified') return [ rvBase, descBase, reportBase ];
+    let [ srcJSON, , srcErr ] = tryParseJSON(srcContent), [ dstJSON, , dstErr ] = tryParseJSON(dstContent);
+    if (srcErr ?? dstErr) return [ rvBase, `text diff (invalid JSON: ${(srcErr ?? dstErr).message})`, reportBase ];
+    let matchKey = getStringTableMatchKey(srcJSON, dstJSON);
+    if (matchKey) return diffStringTable(srcJSON, dstJSON, matchKey, reportBase);
+    let changes = microdiff(srcJSON, dstJSON), indentUnit = ' '.repeat(4);
+    if (changes.length === 0) return [ 0, '', null ];
+    const formatValue = (value) => value === undefined ? kTSVEmptyCellDesc : JSON.stringify(value);
+    let diffDescs = changes.map(({ type, path, value, oldValue }) => indentUnit + `[${path.join('.')}] ${type.toLowerCase()}: ` +
+        (type === 'CHANGE' ? `{${formatValue(oldValue)}} vs {${formatValue(value)}}` : `{${formatValue(type === 'CREATE' ? value : oldValue)}}`));
+    let summary = { created: 0, removed: 0, changed: 0 };
+    for (let { type } of changes) summary[{ CREATE: 'created', REMOVE: 'removed', CHANGE: 'changed' }[type]]++;
+    diffDescs.unshift('json diff');
+    diffDescs.push(`JSON Compare: ${summary.changed} changed, ${summary.created} created, ${summary.removed} removed`);
+    let rv = changes[0].type === 'CHANGE' ? compareString(String(changes[0].value), String(changes[0].oldValue)) || 1 : (changes[0].type === 'CREATE' ? 1 : -1);
+    return [ rv, diffDescs.join('\n'), Object.assign(reportBase, { format: 'structure', changes, summary }) ];
+}
+
+const kStringTableMatchKeys = [ 'id', 'Key' ];
+/** local/lng/strings/*.json: [ { id, Key, enUS, ... } ].  @returns {?string} unique key to match entries */
+function getStringTableMatchKey(srcJSON, dstJSON) {
+    if (!Array.isArray(srcJSON) || !Array.isArray(dstJSON)) return null;
+    let entries = srcJSON.concat(dstJSON);
+    if (!entries.every(entry => entry !== null && typeof entry === 'object' && !Array.isArray(entry))) return null;
+    return kStringTableMatchKeys.find(matchKey => [ srcJSON, dstJSON ].every(json => {
+        let keys = json.map(entry => entry[matchKey]);
+        return keys.every(key => key !== undefined) && new Set(keys).size === keys.length;
+    })) ?? null;
+}
+
+function diffStringTable(srcJSON, dstJSON, matchKey, reportBase) {
+    let srcEntryMap = new Map(srcJSON.map(entry => [ entry[matchKey], entry ])), dstEntryMap = new Map(dstJSON.map(entry => [ entry[matchKey], entry ]));
+    let /** @type {JSONEntryDiff[]} */ entries = [], allDiffDescs = [], rv = 0, indentUnit = ' '.repeat(4);
+    let summary = { modified: 0, fields: 0, added: 0, removed: 0 };
+    const entryDesc = (entry) => `{${entry.id}} {${entry.Key}}`;
+    const pickId = ({ id, Key }) => Object.fromEntries(Object.entries({ id, Key }).filter(([ , value ]) => value !== undefined));
+    for (let [ key, srcEntry ] of srcEntryMap) {
+        let dstEntry = dstEntryMap.get(key);
+        if (!dstEntry) {
+            summary.removed++;
+            entries.push(Object.assign({ type: 'removed' }, pickId(srcEntry)));
+            allDiffDescs.push(`Entry removed: ${entryDesc(srcEntry)}`);
+            if (rv === 0) rv = -1;
+            continue;
+        }
+        let fields = [ ...new Set(Object.keys(srcEntry).concat(Object.keys(dstEntry))) ]
+            .filter(field => JSON.stringify(srcEntry[field]) !== JSON.stringify(dstEntry[field]))
+            .map(field => ({ field, src: srcEntry[field] ?? null, dst: dstEntry[field] ?? null }));
+        if (fields.length === 0) continue;
+        summary.modified++;
+        summary.fields += fields.length;
+        entries.push(Object.assign({ type: 'modified' }, pickId(srcEntry), { fields }));
+        allDiffDescs.push(`Entry diff: (${fields.length}) ${entryDesc(srcEntry)}`);
+        for (let { field, src, dst } of fields) allDiffDescs.push(indentUnit + `[${field}]: {${src ?? kTSVEmptyCellDesc}} vs {${dst ?? kTSVEmptyCellDesc}}`);
+        if (rv === 0) rv = compareString(String(fields[0].dst), String(fields[0].src)) || 1;
+    }
+    for (let [ key, dstEntry ] of dstEntryMap) {
+        if (srcEntryMap.has(key)) continue;
+        summary.added++;
+        entries.push(Object.assign({ type: 'added' }, pickId(dstEntry), { values: dstEntry }));
+        allDiffDescs.push(`Entry added: ${entryDesc(dstEntry)}`);
+        if (rv === 0) rv = 1;
+    }
+    if (rv === 0) return [ 0, '', null ];
+    allDiffDescs.push(`Entries Compare: ${summary.modified} Entries diff, ${summary.fields} Fields diff, ${summary.added} Entries added, ${summary.removed} Entries removed`);
+    return [ rv, allDiffDescs.join('\n'), Object.assign(reportBase, { format: 'strings', matchKey, entries, summary }) ];
 }
 
 const kTSVEmptyCellDesc = `<blank>`;
 function getTSVKeyCol(tsvPath) { return excel[path.parse(tsvPath).name] || null; }
-function diffTSV(srcPath, dstPath) {
-    let [ rvBase, descBase, srcContent, dstContent ] = diffTextBase(srcPath, dstPath);
-    if (rvBase === 0) return [ rvBase, descBase ];
-    let srcTSV = parseTsv(srcContent, getTSVKeyCol(srcPath)), dstTSV = parseTsv(dstContent, getTSVKeyCol(dstPath));
-    // TODO: find column add/remove
-    let headerComp = compareString(dstTSV.headers.join('|'), srcTSV.headers.join('|'));
-    if (headerComp !== 0) {
-        let diffDescs = [ 'header diff' ];
-        let srcHeaders = new Set(srcTSV.headers), dstHeaders = new Set(dstTSV.headers);
-        let srcOnlyHeaders = [], dstOnlyHeaders = [];
-        for (let header of srcHeaders) {
-            if (!dstHeaders.has(header)) srcOnlyHeaders.push(header);
-        }
-        for (let header of dstHeaders) {
-            if (!srcHeaders.has(header)) srcOnlyHeaders.push(header);
+
+// LCS table is (n+1)*(m+1) cells, beyond this only common head/tail are matched.
+const kMaxLCSCells = 16 * 1024 * 1024;
+
+/**
+ * Match equal items between two sequences: common head/tail, then LCS of the remaining middle part.
+ * @param {string[]} srcKeys  @param {string[]} dstKeys  @returns {[ number, number ][]} ascending [ srcIndex, dstIndex ] pairs
+ */
+function alignSequences(srcKeys, dstKeys) {
+    let head = 0, srcEnd = srcKeys.length, dstEnd = dstKeys.length;
+    while (head < srcEnd && head < dstEnd && srcKeys[head] === dstKeys[head]) head++;
+    while (srcEnd > head && dstEnd > head && srcKeys[srcEnd - 1] === dstKeys[dstEnd - 1]) { srcEnd--; dstEnd--; }
+    let pairs = [];
+    for (let i = 0; i < head; i++) pairs.push([ i, i ]);
+    let n = srcEnd - head, m = dstEnd - head;
+    if (n > 0 && m > 0 && (n + 1) * (m + 1) <= kMaxLCSCells) {
+        // lcs[i * (m + 1) + j]: LCS length of src[head + i ..] and dst[head + j ..]
+        let lcs = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * (m + 1) + j] = srcKeys[head + i] === dstKeys[head + j] ? lcs[(i + 1) * (m + 1) + j + 1] + 1 :
+                    Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+            }
         }
-        if (srcOnlyHeaders.length > 0) diffDescs.push(`Source Only Headers: ${srcOnlyHeaders.join('|')}`);
-        if (dstOnlyHeaders.length > 0) diffDescs.push(`Destination Only Headers: ${dstOnlyHeaders.join('|')}`);
-        let srcCommonHeaders = srcTSV.headers.filter(header => !srcOnlyHeaders.includes(header));
-        let dstCommonHeaders = dstTSV.headers.filter(header => !dstOnlyHeaders.includes(header));
-        if (srcCommonHeaders.join('|') !== dstCommonHeaders.join('|')) {
-            let firstDiffIndex;
-            for (let i = 0; i < srcCommonHeaders.length; i++) {
-                if (srcCommonHeaders[i] !== dstCommonHeaders[i]) { firstDiffIndex = i; break; }
+        for (let i = 0, j = 0; i < n && j < m;) {
+            if (srcKeys[head + i] === dstKeys[head + j]) {
+                pairs.push([ head + i++, head + j++ ]);
+            } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+                i++;
+            } else {
+                j++;
             }
-            diffDescs.push(`headers re-ordered since: ${srcCommonHeaders[firstDiffIndex]} | ${dstCommonHeaders[firstDiffIndex]}`);
         }
-        return [ headerComp, diffDescs.join('\n') ];
     }
-    // TODO: find row add/remove
-    // TODO: guess row difference
-    // Cell difference
+    for (let i = 0; i < srcKeys.length - srcEnd; i++) pairs.push([ srcEnd + i, dstEnd + i ]);
+    return pairs;
+}
+
+/** Longest increasing subsequence.  @param {number[]} values  @returns {Set<number>} indexes into values */
+function longestIncreasingIndexes(values) {
+    let tails = [], prevs = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        let lo = 0, hi = tails.length;
+        while (lo < hi) {
+            let mid = (lo + hi) >> 1;
+            if (values[tails[mid]] < values[i]) lo = mid + 1; else hi = mid;
+        }
+        prevs[i] = lo > 0 ? tails[lo - 1] : -1;
+        tails[lo] = i;
+    }
+    let indexes = new Set();
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = prevs[i]) indexes.add(i);
+    return indexes;
+}
+
+/** @returns {?[ number, number ][]} [ srcIndex, dstIndex ] pairs, null if key column is absent or not unique */
+function matchTSVRowsByKey(srcTSV, dstTSV, keyCol) {
+    if (!keyCol || !srcTSV.headers.includes(keyCol) || !dstTSV.headers.includes(keyCol)) return null;
+    const indexByKey = (tsv) => {
+        let map = new Map();
+        for (let [ index, row ] of tsv.rows.entries()) {
+            if (row[keyCol] === undefined || map.has(row[keyCol])) return null;
+            map.set(row[keyCol], index);
+        }
+        return map;
+    };
+    let srcIndexMap = indexByKey(srcTSV), dstIndexMap = indexByKey(dstTSV);
+    if (!srcIndexMap || !dstIndexMap) return null;
+    let pairs = [];
+    for (let [ key, srcIndex ] of srcIndexMap) {
+        if (dstIndexMap.has(key)) pairs.push([ srcIndex, dstIndexMap.get(key) ]);
+    }
+    return pairs;
+}
+
+/** Align rows by unchanged content, then pair remaining rows (moved: same content, otherwise same description or position). */
+function matchTSVRowsBySequence(srcTSV, dstTSV, descCol, cols) {
+    const rowSignature = (row) => cols.map(col => row[col] ?? '').join('\t');
+    let srcSigs = srcTSV.rows.map(rowSignature), dstSigs = dstTSV.rows.map(rowSignature);
+    let anchors = alignSequences(srcSigs, dstSigs), pairs = [ ...anchors ];
+    let srcMatched = new Set(anchors.map(([ s ]) => s)), dstMatched = new Set(anchors.map(([ , d ]) => d));
+    let srcUnmatchedBySig = new Map();
+    for (let s = 0; s < srcSigs.length; s++) {
+        if (srcMatched.has(s)) continue;
+        if (!srcUnmatchedBySig.has(srcSigs[s])) srcUnmatchedBySig.set(srcSigs[s], []);
+        srcUnmatchedBySig.get(srcSigs[s]).push(s);
+    }
+    for (let d = 0; d < dstSigs.length; d++) {
+        if (dstMatched.has(d)) continue;
+        let s = srcUnmatchedBySig.get(dstSigs[d])?.shift();
+        if (s === undefined) continue;
+        pairs.push([ s, d ]);
+        srcMatched.add(s);
+        dstMatched.add(d);
+    }
+    // Guess modified rows within each gap between anchors.
+    let bounds = [ [ -1, -1 ], ...anchors, [ srcSigs.length, dstSigs.length ] ];
+    for (let k = 1; k < bounds.length; k++) {
+        let [ srcBegin, dstBegin ] = bounds[k - 1], [ srcEnd, dstEnd ] = bounds[k];
+        let srcGap = [], dstGap = [];
+        for (let s = srcBegin + 1; s < srcEnd; s++) if (!srcMatched.has(s)) srcGap.push(s);
+        for (let d = dstBegin + 1; d < dstEnd; d++) if (!dstMatched.has(d)) dstGap.push(d);
+        for (let s of [ ...srcGap ]) {
+            let d = dstGap.find(d => srcTSV.rows[s][descCol] === dstTSV.rows[d][descCol]);
+            if (d === undefined) continue;
+            pairs.push([ s, d ]);
+            srcGap.splice(srcGap.indexOf(s), 1);
+            dstGap.splice(dstGap.indexOf(d), 1);
+        }
+        for (let i = 0; i < Math.min(srcGap.length, dstGap.length); i++) pairs.push([ srcGap[i], dstGap[i] ]);
+    }
+    return pairs;
+}
+
+/** @typedef {{ srcOnly: string[], dstOnly: string[], common: string[], reordered: ?[ string, string ] }} TSVHeaderDiff */
+/** @param {TSVHeader} srcHeaders  @param {TSVHeader} dstHeaders  @returns {TSVHeaderDiff} common headers are in source order */
+function diffTSVHeaders(srcHeaders, dstHeaders) {
+    let srcHeaderSet = new Set(srcHeaders), dstHeaderSet = new Set(dstHeaders);
+    let srcOnly = [ ...srcHeaderSet ].filter(header => !dstHeaderSet.has(header));
+    let dstOnly = [ ...dstHeaderSet ].filter(header => !srcHeaderSet.has(header));
+    let srcCommon = [ ...srcHeaderSet ].filter(header => dstHeaderSet.has(header));
+    let dstCommon = [ ...dstHeaderSet ].filter(header => srcHeaderSet.has(header));
+    let firstDiffIndex = srcCommon.findIndex((header, i) => header !== dstCommon[i]);
+    let reordered = firstDiffIndex < 0 ? null : [ srcCommon[firstDiffIndex], dstCommon[firstDiffIndex] ];
+    return { srcOnly, dstOnly, common: srcCommon, reordered };
+}
+
+/**
+ * @typedef {{ col: string, src: ?string, dst: ?string }} TSVCellDiff
+ * @typedef {{ type: 'modified'|'moved'|'added'|'removed', srcIndex?: number, dstIndex?: number, cells?: TSVCellDiff[] }} TSVRowDiff
+ */
+/** Match rows by key column if it is unique, otherwise by sequence alignment.  @returns {[ number, number ][]} [ srcIndex, dstIndex ] pairs, ascending */
+function matchTSVRows(srcTSV, dstTSV, keyCol, cols) {
+    let pairs = matchTSVRowsByKey(srcTSV, dstTSV, keyCol) ?? matchTSVRowsBySequence(srcTSV, dstTSV, keyCol ?? cols[0], cols);
+    return pairs.sort(([ s0 ], [ s1 ]) => s0 - s1);
+}
+
+/** @returns {TSVRowDiff[]} ordered by destination position */
+function diffTSVRows(srcTSV, dstTSV, keyCol, cols) {
+    let pairs = matchTSVRows(srcTSV, dstTSV, keyCol, cols);
+    let inOrderIndexes = longestIncreasingIndexes(pairs.map(([ , d ]) => d));
+    let srcToDst = new Array(srcTSV.rows.length).fill(-1), dstMatched = new Set();
+    let /** @type {(TSVRowDiff & { pos: number })[]} */ rowDiffs = [];
+    for (let [ i, [ srcIndex, dstIndex ] ] of pairs.entries()) {
+        srcToDst[srcIndex] = dstIndex;
+        dstMatched.add(dstIndex);
+        let srcRow = srcTSV.rows[srcIndex], dstRow = dstTSV.rows[dstIndex];
+        let cells = cols.filter(col => srcRow[col] !== dstRow[col]).map(col => ({ col, src: srcRow[col] ?? null, dst: dstRow[col] ?? null }));
+        let type = inOrderIndexes.has(i) ? 'modified' : 'moved';
+        if (type === 'modified' && cells.length === 0) continue;
+        rowDiffs.push({ type, srcIndex, dstIndex, cells, pos: dstIndex });
+    }
+    for (let dstIndex = 0; dstIndex < dstTSV.rows.length; dstIndex++) {
+        if (!dstMatched.has(dstIndex)) rowDiffs.push({ type: 'added', dstIndex, pos: dstIndex });
+    }
+    for (let srcIndex = 0, lastDstIndex = -1; srcIndex < srcTSV.rows.length; srcIndex++) {
+        if (srcToDst[srcIndex] >= 0) { lastDstIndex = srcToDst[srcIndex]; continue; }
+        rowDiffs.push({ type: 'removed', srcIndex, pos: lastDstIndex + 0.5 });
+    }
+    rowDiffs.sort((a, b) => a.pos - b.pos);
+    return rowDiffs.map(({ pos, ...rowDiff }) => rowDiff);
+}
+
+/**
+ * @typedef {TSVRowDiff & { key: ?string, values?: TSVRow }} TSVRowDiffReport  values: full row for added/removed rows
+ * @typedef {FileDiffReport & { headers: TSVHeaderDiff, rows: TSVRowDiffReport[], keyCol: ?string,
+ *     summary: { modified: number, cells: number, added: number, removed: number, moved: number } }} TSVDiffReport
+ */
+/** @returns {[ number, string, ?(TSVDiffReport|FileDiffReport) ]} */
+function diffTSV(srcPath, dstPath) {
+    let [ rvBase, descBase, reportBase, srcContent, dstContent ] = diffTextBase(srcPath, dstPath, 'tsv');
+    if (rvBase === 0 || reportBase.status !== 'modified') return [ rvBase, descBase, reportBase ];
+    let srcTSV = parseTsv(srcContent, getTSVKeyCol(srcPath)), dstTSV = parseTsv(dstContent, getTSVKeyCol(dstPath));
+    // Header difference
+    let allDiffDescs = [], rv = compareString(dstTSV.headers.join('|'), srcTSV.headers.join('|'));
+    let headerDiff = diffTSVHeaders(srcTSV.headers, dstTSV.headers);
+    if (rv !== 0) {
+        allDiffDescs.push('header diff');
+        if (headerDiff.srcOnly.length > 0) allDiffDescs.push(`Source Only Headers: ${headerDiff.srcOnly.join('|')}`);
+        if (headerDiff.dstOnly.length > 0) allDiffDescs.push(`Destination Only Headers: ${headerDiff.dstOnly.join('|')}`);
+        if (headerDiff.reordered) allDiffDescs.push(`headers re-ordered since: ${headerDiff.reordered.join(' | ')}`);
+    }
+    // Row difference
     let indentUnit = ' '.repeat(4);
-    let allDiffDescs = [], rv = 0, rowDiffCount = 0, cellDiffCount = 0;
-    let descCol = getTSVKeyCol(srcPath) ?? srcTSV.headers[0];
-    for (let i = 0; i < Math.min(srcTSV.rows.length, dstTSV.rows.length); i++) {
-        let srcRow = srcTSV.rows[i], dstRow = dstTSV.rows[i];
-        let diffDescs = [];
-        for (let col of srcTSV.headers) {
-            let srcValue = srcRow[col], dstValue = dstRow[col];
-            if (srcValue === dstValue) continue;
-            diffDescs.push(`[${col}]: {${srcValue ?? kTSVEmptyCellDesc}} vs {${dstValue ?? kTSVEmptyCellDesc}}`);
-            if (rv === 0) rv = compareString(String(dstValue), String(srcValue));
+    let rowDiffCount = 0, cellDiffCount = 0, addCount = 0, removeCount = 0, moveCount = 0;
+    let keyCol = getTSVKeyCol(srcPath);
+    let descCol = keyCol ?? headerDiff.common[0];
+    let /** @type {TSVRowDiffReport[]} */ rowReports = [];
+    // Cells are compared by column name on common columns only.
+    for (let rowDiff of diffTSVRows(srcTSV, dstTSV, keyCol, headerDiff.common)) {
+        let srcRow = srcTSV.rows[rowDiff.srcIndex], dstRow = dstTSV.rows[rowDiff.dstIndex];
+        rowReports.push(Object.assign({ key: (dstRow ?? srcRow)[descCol] ?? null }, rowDiff, rowDiff.cells ? {} : { values: dstRow ?? srcRow }));
+        if (rowDiff.type === 'added') {
+            addCount++;
+            allDiffDescs.push(`Row[${rowDiff.dstIndex + 1}] added: {${dstRow[descCol]}}`);
+            if (rv === 0) rv = 1;
+            continue;
+        } else if (rowDiff.type === 'removed') {
+            removeCount++;
+            allDiffDescs.push(`Row[${rowDiff.srcIndex + 1}] removed: {${srcRow[descCol]}}`);
+            if (rv === 0) rv = -1;
+            continue;
+        }
+        let diffDescs = rowDiff.cells.map(({ col, src, dst }) => `[${col}]: {${src ?? kTSVEmptyCellDesc}} vs {${dst ?? kTSVEmptyCellDesc}}`);
+        let rowDesc = srcRow[descCol] === dstRow[descCol] ? `{${srcRow[descCol]}}` : `{${srcRow[descCol]}} / {${dstRow[descCol]}}`;
+        let rowNum = rowDiff.srcIndex === rowDiff.dstIndex ? `${rowDiff.srcIndex + 1}` : `${rowDiff.srcIndex + 1} => ${rowDiff.dstIndex + 1}`;
+        if (rowDiff.type === 'moved') {
+            moveCount++;
+            allDiffDescs.push(`Row[${rowNum}] moved: (${diffDescs.length}) ${rowDesc}`);
+            if (rv === 0) rv = Math.sign(rowDiff.dstIndex - rowDiff.srcIndex);
+        } else {
+            allDiffDescs.push(`Row[${rowNum}] diff: (${diffDescs.length}) ${rowDesc}`);
         }
         if (diffDescs.length > 0) {
             rowDiffCount++;
             cellDiffCount += diffDescs.length;
-            if (srcRow[descCol] === dstRow[descCol]) {
-                allDiffDescs.push(`Row[${i + 1}] diff: (${diffDescs.length}) {${srcRow[descCol]}}`);
-            } else {
-                allDiffDescs.push(`Row[${i + 1}] diff: (${diffDescs.length}) {${srcRow[descCol]}} / {${dstRow[descCol]}}`);
-            }
-            for (let diffDesc of diffDescs) allDiffDescs.push(indentUnit + diffDesc);
+            let { src, dst } = rowDiff.cells[0];
+            if (rv === 0) rv = compareString(String(dst), String(src));
         }
+        for (let diffDesc of diffDescs) allDiffDescs.push(indentUnit + diffDesc);
     }
-    if (srcTSV.rows.length !== dstTSV.rows.length) {
-        rv = Math.sign(dstTSV.rows.length - srcTSV.rows.length);
-        if (srcTSV.rows.length > dstTSV.rows.length) {
-            allDiffDescs.push(`Source has extra ${srcTSV.rows.length - dstTSV.rows.length} rows (${dstTSV.rows.length} - ${srcTSV.rows.length - 1})`);
-        } else {
-            allDiffDescs.push(`Destination has extra ${dstTSV.rows.length - srcTSV.rows.length} rows (${srcTSV.rows.length} - ${dstTSV.rows.length - 1})`);
+    if (rv === 0) {  // Text differs, but not headers, rows or cells: trimmed whitespace, blank lines or final line ending
+        allDiffDescs.push('whitespace diff: headers, rows and cells are equal');
+        rv = rvBase;
+    }
+    if (allDiffDescs.length > 0) {
+        allDiffDescs.push(`Rows/Cells Compare: ${rowDiffCount} Rows diff, ${cellDiffCount} Cells Diff` +
+            `, ${addCount} Rows added, ${removeCount} Rows removed, ${moveCount} Rows moved`);
+    }
+    let summary = { modified: rowDiffCount, cells: cellDiffCount, added: addCount, removed: removeCount, moved: moveCount };
+    return [ rv, allDiffDescs.join('\n'), Object.assign(reportBase, { keyCol: descCol, headers: headerDiff, rows: rowReports, summary }) ];
+}
+
+const kDiffFormats = [ 'text', 'json', 'patch', 'none' ];
+const kUnifiedPatchContext = 3;
+/** Line based unified diff (as diff -u), null if no difference. */
+function makeUnifiedPatch(srcPath, dstPath, srcLabel, dstLabel) {
+    const readLines = (filepath) => {
+        let [ content, err ] = fs.existsSync(filepath) ? readTextFileSyncNoThrow(filepath, { normalizeEol: true }) : [ '', null ];
+        if (err) throw err;
+        return content === '' ? [] : content.replace(/\n$/, '').split('\n');
+    };
+    if (isBinaryFile(srcPath) || isBinaryFile(dstPath)) return `Binary files ${srcLabel} and ${dstLabel} differ\n`;
+    let srcLines = readLines(srcPath), dstLines = readLines(dstPath);
+    let pairs = alignSequences(srcLines, dstLines).filter(([ s, d ]) => srcLines[s] === dstLines[d]);
+    if (pairs.length === srcLines.length && pairs.length === dstLines.length) return null;
+    // Edit script: ' ' common, '-' source only, '+' destination only.
+    let ops = [];
+    for (let [ k, s, d ] = [ 0, 0, 0 ]; k <= pairs.length; k++) {
+        let [ srcNext, dstNext ] = pairs[k] ?? [ srcLines.length, dstLines.length ];
+        for (; s < srcNext; s++) ops.push([ '-', s, d ]);
+        for (; d < dstNext; d++) ops.push([ '+', s, d ]);
+        if (k < pairs.length) ops.push([ ' ', s++, d++ ]);
+    }
+    let lines = [ `--- ${fs.existsSync(srcPath) ? srcLabel : '/dev/null'}`, `+++ ${fs.existsSync(dstPath) ? dstLabel : '/dev/null'}` ];
+    for (let begin = 0; begin < ops.length;) {
+        let firstChange = ops.findIndex((op, i) => i >= begin && op[0] !== ' ');
+        if (firstChange < 0) break;
+        let hunkBegin = Math.max(begin, firstChange - kUnifiedPatchContext), hunkEnd = firstChange;
+        for (let i = firstChange; i < ops.length && i - hunkEnd <= 2 * kUnifiedPatchContext; i++) {
+            if (ops[i][0] !== ' ') hunkEnd = i;
         }
+        hunkEnd = Math.min(ops.length, hunkEnd + 1 + kUnifiedPatchContext);
+        let hunk = ops.slice(hunkBegin, hunkEnd);
+        let srcCount = hunk.filter(([ op ]) => op !== '+').length, dstCount = hunk.filter(([ op ]) => op !== '-').length;
+        let [ , srcStart, dstStart ] = hunk[0];
+        lines.push(`@@ -${srcCount > 0 ? srcStart + 1 : srcStart},${srcCount} +${dstCount > 0 ? dstStart + 1 : dstStart},${dstCount} @@`);
+        for (let [ op, s, d ] of hunk) lines.push(op + (op === '+' ? dstLines[d] : srcLines[s]));
+        begin = hunkEnd;
     }
-    if (allDiffDescs.length > 0)
-        allDiffDescs.push(`Rows/Cells Compare: ${rowDiffCount} Rows diff, ${cellDiffCount} Cells Diff`);
-    return [ rv, allDiffDescs.join('\n') ];
+    return lines.join('\n') + '\n';
 }
 
-function diffFile(srcPath, dstPath, { checkTSVPath }) {
-    checkTSVPath ??= false;
-    let pathInfo = path.parse(srcPath);
-    let rv, diffDesc;
+function isBinaryFile(filepath) {
+    if (!fs.existsSync(filepath)) return false;
+    return ![ '.txt', '.json', '.jsonc', '.js', '.csv', '.tsv', '.md' ].includes(path.extname(filepath).toLowerCase());
+}
+
+/** @returns {[ number, string, ?FileDiffReport ]} */
+function diffFile1(srcPath, dstPath, checkTSVPath) {
+    let pathInfo = path.parse(srcPath), rv, diffDesc, report;
     if (pathInfo.ext === '.txt' && (!checkTSVPath || pathInfo.dir.includes(path.join('global', 'excel')))) {
-        [ rv, diffDesc ] = diffTSV(srcPath, dstPath);
+        [ rv, diffDesc, report ] = diffTSV(srcPath, dstPath);
     } else if (pathInfo.ext === '.json') {
-        [ rv, diffDesc ] = diffJSON(srcPath, dstPath);
+        [ rv, diffDesc, report ] = diffJSON(srcPath, dstPath);
+    } else if (!isBinaryFile(srcPath) && !isBinaryFile(dstPath)) {
+        [ rv, diffDesc, report ] = diffTextBase(srcPath, dstPath, 'text');
     } else {
-        [ rv, diffDesc ] = diffBinary(srcPath, dstPath);
+        [ rv, diffDesc, report ] = diffBinary(srcPath, dstPath);
     }
-    if (rv === 0) return;
-    console.info(`Source: ${srcPath} vs Destination: ${dstPath}\n${diffDesc}`);
+    if (report) Object.assign(report, { srcPath, dstPath });
+    return [ rv, diffDesc, report ];
+}
+
+/**
+ * Output formats: 'text' (default, human readable), 'json' (DiffReport), 'patch' (unified diff), 'none' (return DiffReport only; main: exit code only).
+ * @typedef {{ srcPath: string, dstPath: string, srcOnly?: string[], dstOnly?: string[], files: FileDiffReport[] }} DiffReport
+ */
+/** @param {{ checkTSVPath?: boolean, format?: string }}  @returns {DiffReport} */
+function diffFile(srcPath, dstPath, { checkTSVPath, format } = {}) {
+    checkTSVPath ??= false;
+    format ??= 'text';
+    let [ rv, diffDesc, report ] = diffFile1(srcPath, dstPath, checkTSVPath);
+    let diffReport = { srcPath, dstPath, files: report ? [ report ] : [] };
+    if (format === 'json') {
+        console.info(JSON.stringify(diffReport, null, 2));
+    } else if (format === 'patch') {
+        if (rv !== 0) process.stdout.write(makeUnifiedPatch(srcPath, dstPath, srcPath, dstPath) ?? '');
+    } else if (format === 'text' && rv !== 0) {
+        console.info(`Source: ${srcPath} vs Destination: ${dstPath}\n${diffDesc}`);
+    }
+    return diffReport;
 }
 
 const reStripTrailingSep = new RegExp(`${path.sep}*$`);
-function diffDir(srcDir, dstDir, { checkTSVPath }) {
+/** @param {{ checkTSVPath?: boolean, format?: string }}  @returns {DiffReport} */
+function diffDir(srcDir, dstDir, { checkTSVPath, format } = {}) {
     checkTSVPath ??= true;
+    format ??= 'text';
     srcDir = srcDir.replace(reStripTrailingSep, '');
     dstDir = dstDir.replace(reStripTrailingSep, '');
     let srcFiles = readdirSafeSync(srcDir, { recursive: true }).filter(srcPath => fs.statSync(path.join(srcDir, srcPath)).isFile());
     let dstFiles = readdirSafeSync(dstDir, { recursive: true }).filter(dstPath => fs.statSync(path.join(dstDir, dstPath)).isFile());
     let srcFilesMap = new Map(srcFiles.map(path => [ path, false ])), dstFilesMap = new Map(dstFiles.map(path => [ path, false ]));
-    console.info(`Compare Directory: Source: ${srcDir} vs Destination: ${dstDir}`);
     for (let srcPath of srcFilesMap.keys()) {
         if (dstFilesMap.get(srcPath) !== undefined) {
             srcFilesMap.set(srcPath, true);
             dstFilesMap.set(srcPath, true);
         }
     }
+    let /** @type {DiffReport} */ diffReport = { srcPath: srcDir, dstPath: dstDir, srcOnly: [], dstOnly: [], files: [] };
+    let patches = [];
+    const printText = (...args) => { if (format === 'text') console.info(...args); };
     const lineSeparator = '='.repeat(80);
-    let srcOnlyCount = 0, dstOnlyCount = 0, fileDiffCount = 0;
-    console.info(lineSeparator);
+    printText(`Compare Directory: Source: ${srcDir} vs Destination: ${dstDir}`);
+    printText(lineSeparator);
     for (let [ srcPath ] of [ ...srcFilesMap.entries() ].filter(([ , common ]) => !common)) {
-        srcOnlyCount++;
-        console.info(`Source only file: ${srcPath}`);
+        diffReport.srcOnly.push(srcPath);
+        if (format === 'patch') patches.push(makeUnifiedPatch(path.join(srcDir, srcPath), path.join(dstDir, srcPath), `a/${srcPath}`, `b/${srcPath}`));
+        printText(`Source only file: ${srcPath}`);
     }
-    if (srcOnlyCount > 0) console.info(lineSeparator);
+    if (diffReport.srcOnly.length > 0) printText(lineSeparator);
     for (let [ dstPath ] of [ ...dstFilesMap.entries() ].filter(([ , common ]) => !common)) {
-        dstOnlyCount++;
-        console.info(`Destination only file: ${dstPath}`);
+        diffReport.dstOnly.push(dstPath);
+        if (format === 'patch') patches.push(makeUnifiedPatch(path.join(srcDir, dstPath), path.join(dstDir, dstPath), `a/${dstPath}`, `b/${dstPath}`));
+        printText(`Destination only file: ${dstPath}`);
     }
-    if (dstOnlyCount > 0) console.info(lineSeparator);
+    if (diffReport.dstOnly.length > 0) printText(lineSeparator);
     for (let [ commonPath ] of [ ...srcFilesMap.entries() ].filter(([ , common ]) => common)) {
-        let pathInfo = path.parse(commonPath);
         let srcPath = path.join(srcDir, commonPath), dstPath = path.join(dstDir, commonPath);
-        let rv, diffDesc;
-        if (pathInfo.ext === '.txt' && (!checkTSVPath || pathInfo.dir.includes(path.join('global', 'excel')))) {
-            [ rv, diffDesc ] = diffTSV(srcPath, dstPath);
-        } else if (pathInfo.ext === '.json') {
-            [ rv, diffDesc ] = diffJSON(srcPath, dstPath);
-        } else {
-            [ rv, diffDesc ] = diffBinary(srcPath, dstPath);
-        }
+        let [ rv, diffDesc, report ] = diffFile1(srcPath, dstPath, checkTSVPath);
         if (rv === 0) continue;
-        console.info(`Source: ${srcPath} vs Destination: ${dstPath} ${diffDesc}`);
-        console.info(lineSeparator);
+        diffReport.files.push(Object.assign(report, { path: normalizePath(commonPath) }));
+        if (format === 'patch') patches.push(makeUnifiedPatch(srcPath, dstPath, `a/${commonPath}`, `b/${commonPath}`));
+        printText(`Source: ${srcPath} vs Destination: ${dstPath} ${diffDesc}`);
+        printText(lineSeparator);
+    }
+    if (format === 'json') {
+        console.info(JSON.stringify(diffReport, null, 2));
+    } else if (format === 'patch') {
+        process.stdout.write(patches.filter(patch => patch).join(''));
     }
+    return diffReport;
 }
 
-module.exports = { diffBinary, diffJSON, diffTSV, diffDir };
+module.exports = { excel, parseTsv, getTSVKeyCol, diffTSVHeaders, matchTSVRows, diffBinary, diffJSON, diffTSV, diffFile, diffDir, makeUnifiedPatch, main };
 if (require.main === module) main();
 
-// node <diff.js> <srcDir> <dstDir>
-// node <diff.js> <srcFile> [<dstFile>]  (dstFile default to basename <srcFile>)
+// node <diff.js> [--format=text|json|patch|none] <srcDir> <dstDir>
+// node <diff.js> [--format=text|json|patch|none] <srcFile> [<dstFile>]  (dstFile default to basename <srcFile>)
 function printUsage() { return console.info(`
-Usage: node ${path.basename(__filename)} <src-dir> <dst-dir>
-Usage: node ${path.basename(__filename)} <src-file> [<dst-file>]  (dst-file default to basename <src-file>)
+Usage: node ${path.basename(__filename)} [--format=text|json|patch|none] <src-dir> <dst-dir>
+Usage: node ${path.basename(__filename)} [--format=text|json|patch|none] <src-file> [<dst-file>]  (dst-file default to basename <src-file>)
+  --format: text (default, human readable), json (structured report), patch (unified diff), none (no output, exit code 1 if different)
 `.replace(/^\n/, '')); }
 
-function main() {
-    if (process.argv.length < 3) return printUsage();
-    let srcPath = path.normalize(process.argv[2]), dstPath = process.argv[3] ? path.normalize(process.argv[3]) : undefined;
+/** @param {string[]} argv  command line arguments (also from main.js diff) */
+function main(argv = process.argv.slice(2)) {
+    let args = argv.filter(arg => !arg.startsWith('--'));
+    let format = argv.find(arg => arg.startsWith('--format='))?.slice('--format='.length) ?? 'text';
+    if (args.length < 1 || !kDiffFormats.includes(format)) return printUsage();
+    let srcPath = path.normalize(args[0]), dstPath = args[1] ? path.normalize(args[1]) : undefined;
     if (!fs.existsSync(srcPath)) throw new Error(`Source does not exist: ${srcPath}`);
     if (dstPath !== undefined && !fs.existsSync(dstPath)) throw new Error(`Destination does not exist: ${dstPath}`);
-    let compareDir = fs.statSync(srcPath).isDirectory();
+    let compareDir = fs.statSync(srcPath).isDirectory(), diffReport;
     if (dstPath !== undefined && compareDir !== fs.statSync(dstPath).isDirectory()) throw new Error(`Cannot compare file vs directory`);
     if (compareDir) {
         if (dstPath === undefined) return printUsage();
-        diffDir(srcPath, dstPath, { checkTSVPath: true });
+        diffReport = diffDir(srcPath, dstPath, { checkTSVPath: true, format });
     } else {
         let dstFile = dstPath;
         if (dstPath === undefined) {
             dstFile = path.basename(srcPath);
             if (!fs.statSync(dstFile, { throwIfNoEntry: false })?.isFile()) return printUsage();
         }
-        diffFile(srcPath, dstFile, { checkTSVPath: false });
+        diffReport = diffFile(srcPath, dstFile, { checkTSVPath: false, format });
     }
+    if (format === 'none' && (diffReport.files.length > 0 || diffReport.srcOnly?.length > 0 || diffReport.dstOnly?.length > 0)) process.exitCode = 1;
 }
@@ -0,0 +1,112 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const childProcess = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { diffJSON, diffTSV, makeUnifiedPatch } = require('./diff');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-diff-'));
+function writeTsv(name, lines) {
+    let filepath = path.join(tmpDir, name);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, lines.map(cells => cells.join('\t')).join('\n') + '\n');
+    return filepath;
+}
+
+function checkDiffTSV(srcLines, dstLines, name, expectedDescs) {
+    let srcPath = writeTsv(path.join('src', name), srcLines), dstPath = writeTsv(path.join('dst', name), dstLines);
+    let [ rv, desc, report ] = diffTSV(srcPath, dstPath);
+    console.log(`${name}:\n${desc}`);
+    assert.notEqual(rv, 0);
+    for (let expectedDesc of expectedDescs) assert.ok(desc.includes(expectedDesc), `missing: ${expectedDesc}`);
+    return report;
+}
+
+// Keyed rows (armor.code): inserted row at top does not flood cell diffs.
+let armorReport = checkDiffTSV([
+    [ 'name', 'code', 'level' ], [ 'Cap', 'cap', '1' ], [ 'Helm', 'hlm', '5' ], [ 'Mask', 'msk', '9' ], [ 'Plate', 'plt', '20' ],
+], [
+    [ 'name', 'code', 'level' ], [ 'New', 'new', '2' ], [ 'Cap', 'cap', '1' ], [ 'Mask', 'msk', '10' ], [ 'Helm', 'hlm', '5' ],
+], 'armor.txt', [
+    'Row[1] added: {new}', 'Row[3] diff: (1) {msk}', '[level]: {9} vs {10}', 'Row[4] removed: {plt}', 'Row[2 => 4] moved: (0) {hlm}',
+    '1 Rows diff, 1 Cells Diff, 1 Rows added, 1 Rows removed, 1 Rows moved',
+]);
+
+assert.deepEqual(armorReport.summary, { modified: 1, cells: 1, added: 1, removed: 1, moved: 1 });
+assert.deepEqual(armorReport.rows.find(rowDiff => rowDiff.key === 'msk').cells, [ { col: 'level', src: '9', dst: '10' } ]);
+assert.deepEqual(armorReport.rows.find(rowDiff => rowDiff.type === 'added').values, { name: 'New', code: 'new', level: '2' });
+
+// Unkeyed rows: sequence alignment.
+checkDiffTSV([
+    [ 'Name', 'val' ], [ 'A', '1' ], [ 'B', '2' ], [ 'C', '3' ], [ 'D', '4' ],
+], [
+    [ 'Name', 'val' ], [ 'X', '0' ], [ 'A', '1' ], [ 'B', '2' ], [ 'C', '30' ], [ 'D', '4' ],
+], 'gems.txt', [
+    'Row[1] added: {X}', 'Row[3 => 4] diff: (1) {C}', '1 Rows diff, 1 Cells Diff, 1 Rows added, 0 Rows removed, 0 Rows moved',
+]);
+
+// Column added/removed/re-ordered: cells are still compared on common columns.
+checkDiffTSV([
+    [ 'Name', 'val', 'old', 'cost' ], [ 'A', '1', 'x', '10' ], [ 'B', '2', 'y', '20' ],
+], [
+    [ 'Name', 'cost', 'val', 'new' ], [ 'A', '10', '1', 'n' ], [ 'B', '25', '2', 'm' ],
+], 'misc2.txt', [
+    'header diff', 'Source Only Headers: old', 'Destination Only Headers: new', 'headers re-ordered since: val | cost',
+    'Row[2] diff: (1) {B}', '[cost]: {20} vs {25}', '1 Rows diff, 1 Cells Diff',
+]);
+
+// String table (BOM, JSONC) entries are matched by id.
+fs.mkdirSync(path.join(tmpDir, 'src', 'strings'), { recursive: true });
+fs.mkdirSync(path.join(tmpDir, 'dst', 'strings'), { recursive: true });
+fs.writeFileSync(path.join(tmpDir, 'src', 'strings', 'item-names.json'), '\uFEFF' + JSON.stringify([
+    { id: 1, Key: 'a', enUS: 'Alpha', zhTW: 'A' }, { id: 2, Key: 'b', enUS: 'Beta' },
+]));
+fs.writeFileSync(path.join(tmpDir, 'dst', 'strings', 'item-names.json'), '[\n// comment\n' + [
+    { id: 3, Key: 'c', enUS: 'Gamma' }, { id: 1, Key: 'a', enUS: 'Alpha!', zhTW: 'A' },
+].map(entry => JSON.stringify(entry)).join(',\n') + ',\n]');
+let [ rvJSON, descJSON, reportJSON ] = diffJSON(path.join(tmpDir, 'src', 'strings', 'item-names.json'), path.join(tmpDir, 'dst', 'strings', 'item-names.json'));
+console.log(descJSON);
+assert.notEqual(rvJSON, 0);
+assert.equal(reportJSON.matchKey, 'id');
+assert.deepEqual(reportJSON.summary, { modified: 1, fields: 1, added: 1, removed: 1 });
+assert.deepEqual(reportJSON.entries.find(entry => entry.type === 'modified').fields, [ { field: 'enUS', src: 'Alpha', dst: 'Alpha!' } ]);
+
+// Whitespace-only change (trimmed cell whitespace, blank line) is a difference with no row changes.
+let srcWsPath = writeTsv(path.join('src', 'ws.txt'), [ [ 'Name', 'val' ], [ 'A', '1' ] ]);
+let dstWsPath = writeTsv(path.join('dst', 'ws.txt'), [ [ 'Name', 'val' ], [ 'A ', '1' ], [ '' ] ]);
+let [ rvWs, descWs, reportWs ] = diffTSV(srcWsPath, dstWsPath);
+assert.notEqual(rvWs, 0);
+assert.ok(descWs.startsWith('whitespace diff'), descWs);
+assert.deepEqual(reportWs.rows, []);
+assert.deepEqual(reportWs.summary, { modified: 0, cells: 0, added: 0, removed: 0, moved: 0 });
+fs.writeFileSync(dstWsPath, 'Name\tval\r\nA\t1\r\n');  // CRLF alone is not a difference
+assert.equal(diffTSV(srcWsPath, dstWsPath)[0], 0);
+
+// --format=none prints nothing; exit code tells whether anything differs.
+const runDiff = (...args) => childProcess.spawnSync(process.execPath, [ path.join(__dirname, 'diff.js'), '--format=none', ...args ], { encoding: 'utf-8', timeout: 60000 });
+let noneResult = runDiff(path.join(tmpDir, 'src', 'gems.txt'), path.join(tmpDir, 'dst', 'gems.txt'));
+assert.equal(noneResult.status, 1);
+assert.equal(noneResult.stdout, '');
+assert.equal(runDiff(srcWsPath, dstWsPath).status, 0);
+
+// Unified patch
+let patch = makeUnifiedPatch(path.join(tmpDir, 'src', 'gems.txt'), path.join(tmpDir, 'dst', 'gems.txt'), 'a/gems.txt', 'b/gems.txt');
+console.log(patch);
+assert.equal(patch, [
+    '--- a/gems.txt', '+++ b/gems.txt', '@@ -1,5 +1,6 @@', ' Name\tval', '+X\t0', ' A\t1', ' B\t2', '-C\t3', '+C\t30', ' D\t4', '',
+].join('\n'));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
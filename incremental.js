@@ -0,0 +1,173 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { version: kToolVersion } = require('./package.json');
+const { readFileSyncNoThrow, writeFileSync, mkdirSync, cpSync, rmSync, tryParseJSON } = require('./utils');
+
+const kCacheManifestName = 'manifest.json';
+const kCacheManifestVersion = 2;
+
+/**
+ * Inputs and outputs of one mod script run. Outputs are the files changed by the mod, as content hashes into blobs/.
+ * @typedef {{ inputs: Map<string, ?string>, copies: { srcPath: string, dstPath: string, overwrite: boolean }[], uncacheable?: boolean }} ModRunRecorder
+ *     inputs: rel-path : real-path; uncacheable: mod has side effects or inputs not replayable (save files, dir listings)
+ * @typedef {{ name: string, fingerprint: string, inputs: Object.<string, [ ?string, ?string ]>, outputs: Object.<string, string>,
+ *     formats: Object.<string, import('./utils').TextFormat>, copies: { srcPath: string, dstPath: string, overwrite: boolean, hash: string }[],
+ *     nextStringID: number }} ModCacheEntry  inputs: rel-path : [ real-path, hash ]; formats: rel-path : text format of output
+ */
+
+function hashContent(content) { return crypto.createHash('sha256').update(content).digest('hex'); }
+/** Directories (D2RMM.copyFile may copy a whole dir) hash over names and contents of all files.  @returns {?string} */
+function hashFile(filepath) {
+    let stat = filepath ? fs.statSync(filepath, { throwIfNoEntry: false }) : null;
+    if (!stat) return null;
+    if (stat.isDirectory()) {
+        let hash = crypto.createHash('sha256');
+        for (let name of fs.readdirSync(filepath).sort()) hash.update(`${name}\0${hashFile(path.join(filepath, name))}\0`);
+        return hash.digest('hex');
+    }
+    let [ content, err ] = readFileSyncNoThrow(filepath, { binary: true, logError: false });
+    return err || content === null ? null : hashContent(content);
+}
+
+/** Per-mod output snapshots: mods are replayed from cache until the first mod whose script, config or inputs changed. */
+class IncrementalCache {
+    /** @param {string} cacheDir  @param {string} outputPath */
+    constructor(cacheDir, outputPath) {
+        this.cacheDir = cacheDir;
+        this.outputPath = outputPath;
+        /** @type {ModCacheEntry[]} */ this.entries = [];
+        /** @type {ModCacheEntry[]} */ this.newEntries = [];
+        this.replaying = true;
+    }
+
+    get manifestPath() { return path.join(this.cacheDir, kCacheManifestName); }
+    getBlobPath(hash) { return path.join(this.cacheDir, 'blobs', hash.slice(0, 2), hash); }
+
+    load() {
+        let [ content ] = readFileSyncNoThrow(this.manifestPath, { logError: false });
+        let [ manifest ] = content ? tryParseJSON(content, 'json') : [ null ];
+        if (!manifest) {
+            console.info(`Incremental: no cache at: ${this.cacheDir}`);
+        } else if (manifest.version !== kCacheManifestVersion || manifest.toolVersion !== kToolVersion || manifest.outputPath !== this.outputPath) {
+            console.info(`Incremental: discard outdated cache at: ${this.cacheDir}`);
+        } else {
+            this.entries = manifest.mods;
+            console.info(`Incremental: loaded cache of ${this.entries.length} mods`);
+        }
+    }
+
+    /** Hash of everything that affects a mod run other than its inputs files: scripts (including extern libs), mod.json and config. */
+    fingerprintMod(modData, scriptSources) {
+        let hash = crypto.createHash('sha256');
+        hash.update(JSON.stringify([ modData.name, modData.mod, modData.config ]));
+        for (let scriptSource of scriptSources) hash.update(scriptSource.code ?? '');
+        return hash.digest('hex');
+    }
+
+    /**
+     * Cached entry of the index-th mod, if it and all mods before it are unchanged.
+     * @param {import('./resolver').FileResolver} resolver  @returns {?ModCacheEntry}
+     */
+    findValidEntry(index, modName, fingerprint, resolver) {
+        if (!this.replaying) return null;
+        let entry = this.entries[index], reason = null;
+        if (!entry || entry.name !== modName) {
+            reason = 'not cached';
+        } else if (entry.fingerprint === null) {
+            reason = 'not cacheable';
+        } else if (entry.fingerprint !== fingerprint) {
+            reason = 'script or config changed';
+        } else {
+            for (let [ relPath, [ realPath, inputHash ] ] of Object.entries(entry.inputs)) {
+                let currentRealPath = resolver.resolveAutoInputFile(relPath)?.realPath ?? null;
+                if (currentRealPath !== realPath || hashFile(realPath) !== inputHash) { reason = `input changed: ${relPath}`; break; }
+            }
+            reason ??= entry.copies.find(({ srcPath, hash }) => hashFile(srcPath) !== hash) ? 'copied file changed' : null;
+            reason ??= Object.values(entry.outputs).find(hash => !fs.existsSync(this.getBlobPath(hash))) ? 'cached output missing' : null;
+        }
+        if (reason) {
+            this.replaying = false;
+            console.info(`Incremental: resume from mod: ${modName} (${reason})`);
+            return null;
+        }
+        return entry;
+    }
+
+    /** @param {ModCacheEntry} entry  @param {import('./resolver').FileResolver} resolver */
+    replay(entry, resolver) {
+        console.log(`Incremental: replay cached mod: ${entry.name}`);
+        for (let [ relPath, hash ] of Object.entries(entry.outputs)) {
+            let [ content, err ] = readFileSyncNoThrow(this.getBlobPath(hash));
+            if (err || content === null) throw err ?? new Error(`Incremental: missing cached output: ${relPath}`);
+            resolver.updateOutputFile(relPath, content, { writer: entry.name, format: entry.formats[relPath] });
+        }
+        for (let { srcPath, dstPath, overwrite } of entry.copies) {
+            let dstRealPath = resolver.getNativePath(resolver.outputPath, dstPath);
+            mkdirSync(path.dirname(dstRealPath));
+            cpSync(srcPath, dstRealPath, { force: overwrite });
+            resolver.recordOutputWriter(dstPath, entry.name);
+        }
+        if (entry.nextStringID >= 0) resolver.nextStringID = entry.nextStringID;
+        this.newEntries.push(entry);
+    }
+
+    /** @param {import('./resolver').FileResolver} resolver */
+    beginRecord(resolver) {
+        let snapshot = new Map(Object.entries(resolver.implicitOutputMap).map(([ relPath, outputInfo ]) => [ relPath, [ outputInfo.content, JSON.stringify(outputInfo.format) ] ]));
+        resolver.recorder = { inputs: new Map(), copies: [] };
+        return snapshot;
+    }
+
+    /** @param {import('./resolver').FileResolver} resolver */
+    endRecord(snapshot, modName, fingerprint, resolver) {
+        let /** @type {ModRunRecorder} */ recorder = resolver.recorder;
+        resolver.recorder = null;
+        if (recorder.uncacheable) fingerprint = null;
+        let /** @type {ModCacheEntry} */ entry = { name: modName, fingerprint, inputs: {}, outputs: {}, formats: {}, copies: [], nextStringID: resolver.nextStringID };
+        for (let [ relPath, realPath ] of recorder.inputs) entry.inputs[relPath] = [ realPath, hashFile(realPath) ];
+        for (let [ relPath, outputInfo ] of Object.entries(resolver.implicitOutputMap)) {
+            let [ oldContent, oldFormat ] = snapshot.get(relPath) ?? [];
+            if (typeof outputInfo.content !== 'string' || (outputInfo.content === oldContent && JSON.stringify(outputInfo.format) === oldFormat)) continue;
+            let hash = hashContent(outputInfo.content), blobPath = this.getBlobPath(hash);
+            if (!fs.existsSync(blobPath)) {
+                mkdirSync(path.dirname(blobPath));
+                writeFileSync(blobPath, outputInfo.content, { addBOM: false });
+            }
+            entry.outputs[relPath] = hash;
+            if (outputInfo.format) entry.formats[relPath] = outputInfo.format;
+        }
+        entry.copies = recorder.copies.map(copy => Object.assign({ hash: hashFile(copy.srcPath) }, copy));
+        this.newEntries.push(entry);
+    }
+
+    /** Write manifest of this run and remove unreferenced blobs. */
+    save() {
+        let manifest = { version: kCacheManifestVersion, toolVersion: kToolVersion, outputPath: this.outputPath, mods: this.newEntries };
+        mkdirSync(this.cacheDir);
+        writeFileSync(this.manifestPath, JSON.stringify(manifest));
+        let liveBlobs = new Set(this.newEntries.flatMap(entry => Object.values(entry.outputs)));
+        let blobsDir = path.join(this.cacheDir, 'blobs');
+        for (let subDir of fs.existsSync(blobsDir) ? fs.readdirSync(blobsDir) : []) {
+            for (let hash of fs.readdirSync(path.join(blobsDir, subDir))) {
+                if (!liveBlobs.has(hash)) rmSync(path.join(blobsDir, subDir, hash));
+            }
+        }
+        console.info(`Incremental: saved cache of ${this.newEntries.length} mods`);
+    }
+}
+
+module.exports = { IncrementalCache };
@@ -15,17 +15,18 @@ const util = require('node:util');
 
 const jsonc = require('jsonc-parser').safe;
 
-const { runD2RMMTask, runD2STask } = require('./runner');
+const { parseCommandLine, applyConfigOverrides, formatHelp } = require('./cli');
+const { validateConfig, loadConfigFile } = require('./config_schema');
+const { runD2RMMTask, runD2RMMSyncTask, runD2RMMListTask, runD2RMMRestoreTask, runD2RMMResolveTask, runD2RMMPackageTask, runD2RMMInstallTask,
+    runD2STask } = require('./runner');
 const { fatal, nativePath, normalizePath, scriptPath, tryParseJSON, probeSavePath } = require('./utils');
 
-let forceDryRun = false, replaceConsole = true;
-
 const kDefaultBaseConfigFilepath = path.join(__dirname, 'default.jsonc');
 const kDefaultTaskConfigFilepath = path.join(__dirname, 'default_task.jsonc');
 
 /** @typedef {{}} Config */
 /** @typedef {{ mode: string }} TaskConfig */
-const kDefaultConfig = { log_level: 'debug' };
+const kDefaultConfig = { log_level: 'debug', log_timestamps: true };
 
 globalThis.nodeConsole = console;
 
@@ -33,24 +34,41 @@ workaroundBrokenUnhandledRejectionsDetection();
 main();
 
 
-function printHelpAndExit() {
-    console.info(`Usage: node ${path.basename(__filename)} [CONFIG-FILE.jsonc] [TASK-CONFIG-FILE.jsonc] ...
-Default config file ${path.basename(kDefaultBaseConfigFilepath)} is used if the program run without <CONFIG-FILE.jsonc>.
-Default task config file ${path.basename(kDefaultTaskConfigFilepath)} is used if the program run without <TASK-CONFIG-FILE.jsonc>.
-`);
-    process.exit(1);
+function printHelpAndExit(exitCode = 1) {
+    console.info(formatHelp(path.basename(__filename)));
+    process.exit(exitCode);
+}
+
+/** Select task profile: its mods list and mod config overrides replace task options.  @param {TaskConfig} taskConfig */
+function applyTaskProfile(taskConfig, profileName) {
+    let profile = taskConfig.profiles?.[profileName];
+    if (!profile) fatal(`Unknown profile: ${profileName} (profiles: ${Object.keys(taskConfig.profiles ?? {}).join(', ') || 'none'})`);
+    console.info(`Use profile: ${profileName}`);
+    taskConfig.profile = profileName;
+    if (profile.mods) taskConfig.override_ordered_mods = profile.mods;
+    let configOverrides = taskConfig.mod_config_overrides = Object.assign({}, taskConfig.mod_config_overrides);
+    for (let [ modName, modConfig ] of Object.entries(profile.config ?? {})) configOverrides[modName] = Object.assign({}, configOverrides[modName], modConfig);
 }
 
 function main() {
-    let inputBaseConfigFilepath = process.argv[2], inputTaskConfigFilepath = process.argv[3];
-    let baseConfigFilepath = inputBaseConfigFilepath ?? kDefaultBaseConfigFilepath, taskConfigFilepath = inputTaskConfigFilepath ?? kDefaultTaskConfigFilepath;
-    let baseConfig, taskConfig, err;
+    let [ cmdline, cmdlineErr ] = parseCommandLine(process.argv.slice(2));
+    if (cmdlineErr) {
+        console.error(cmdlineErr);
+        return printHelpAndExit();
+    }
+    if (cmdline.help) return printHelpAndExit(0);
+    if (cmdline.command === 'diff') return require('./diff').main(cmdline.args);
+    let args = cmdline.args, profileName = cmdline.profile, watch = cmdline.watch;
+    let inputBaseConfigFilepath = args[0], inputTaskConfigFilepath = args[1];
+    let baseConfigFilepath = inputBaseConfigFilepath ?? kDefaultBaseConfigFilepath;
+    let taskConfigFilepath = inputTaskConfigFilepath ?? cmdline.defaultTaskConfigFilepath ?? kDefaultTaskConfigFilepath;
+    let baseConfig, taskConfig, baseOwnKeys, taskOwnKeys, err;
     if (!fs.existsSync(baseConfigFilepath)) {
         console.info(`${ inputBaseConfigFilepath ? 'Specified' : 'Default' } config file does not exist: ${baseConfigFilepath}`);
         return printHelpAndExit();
     } else {
         console.info(`Using ${ inputBaseConfigFilepath ? 'specified' : 'default' } config file: ${baseConfigFilepath}`);
-        [ baseConfig, , err ] = tryParseJSON(fs.readFileSync(baseConfigFilepath, 'utf-8'), 'jsonc');
+        [ baseConfig, err, baseOwnKeys ] = loadConfigFile(baseConfigFilepath);
         if (err) fatal(`Invalid config file: ${baseConfigFilepath}\n${util.inspect(err)}`);
     }
     if (!fs.existsSync(taskConfigFilepath)) {
@@ -58,14 +76,25 @@ function main() {
         return printHelpAndExit();
     } else {
         console.info(`Using ${ inputTaskConfigFilepath ? 'specified' : 'default' } task config file: ${taskConfigFilepath}`);
-        [ taskConfig, , err ] = tryParseJSON(fs.readFileSync(taskConfigFilepath, 'utf-8'), 'jsonc');
+        [ taskConfig, err, taskOwnKeys ] = loadConfigFile(taskConfigFilepath);
         if (err) fatal(`Invalid config file: ${taskConfigFilepath} | ${util.inspect(err)}`);
     }
-    setImmediate(() => asyncMain(baseConfig, taskConfig));
+    applyConfigOverrides(baseConfig, taskConfig, cmdline.overrides);
+    for (let { scope, key } of cmdline.overrides) (scope === 'base' ? baseOwnKeys : taskOwnKeys).add(key);
+    let [ baseErrors, baseWarnings ] = validateConfig(baseConfig, 'base', baseOwnKeys);
+    let [ taskErrors, taskWarnings ] = validateConfig(taskConfig, 'task', taskOwnKeys);
+    for (let warning of baseWarnings.concat(taskWarnings)) console.warn(warning);
+    if (baseErrors.length + taskErrors.length > 0) fatal(baseErrors.concat(taskErrors).join('\n'));
+    profileName ||= taskConfig.profile;
+    if (profileName) applyTaskProfile(taskConfig, profileName);
+    setImmediate(() => asyncMain(baseConfig, taskConfig, args.slice(2), { watch }));
 }
 
 
-/** @typedef {{ outputPath: string, baseInputPath: string, userInputPath: string, externLibJSPath: string, task: Object.<string,string> }} PathConfig */
+/**
+ * @typedef {{ outputPath: string, baseInputPath: ?string, userInputPath: string, inputLayers: import('./resolver').InputLayerConfig[], cascPath: ?string,
+ *     externLibJSPath: string, modsPath: ?string, task: Object.<string,string> }} PathConfig
+ */
 /** @typedef {{ base: Config, task: TaskConfig, d2rmm: any, path: PathConfig, d2rmod: { name: string, savePath: string }, argv: string[] }} RunConfig */
 
 
@@ -84,6 +113,8 @@ function resolveTaskPaths(pathConfig, taskConfig, gameModName) {
         spec.path_excel_input_data = null;
         spec.path_override_save_path = '$save';
         if (taskConfig.mode === 'd2s.migrate') spec.path_aux_excel_input_data = null;
+    } else if (taskConfig.path_override_save_path) {  // d2rmm: optional, for D2RMM.readSaveFile/writeSaveFile
+        spec.path_override_save_path = '$save';
     }
     const /** @type {Object.<string,string>} */ taskPathConfig = {};
     for (let [ prop, defaultValue ] of Object.entries(spec)) {
@@ -99,53 +130,88 @@ function resolveTaskPaths(pathConfig, taskConfig, gameModName) {
     return taskPathConfig;
 }
 
+/**
+ * D2RMM settings are only needed by d2s modes for values not set in base config (mod name, game path, input path):
+ * if all are set, they are not loaded, so d2s modes work without D2RMM (e.g. leveldb provider without d2rmm_path).
+ * @param {Config} baseConfig  @returns {Config}  base config to load settings with
+ */
+function getSettingsBaseConfig(baseConfig, taskMode) {
+    if (!taskMode.startsWith('d2s.') || (baseConfig.settings_provider || 'leveldb') === 'none') return baseConfig;
+    if (!baseConfig.override_output_mod_name || !(baseConfig.path_override_d2r_game || baseConfig.path_override_output_data)) return baseConfig;
+    if (!(baseConfig.path_override_input_data || baseConfig.path_user_input_data || baseConfig.path_casc_input)) return baseConfig;
+    console.info(`D2RMM settings are overridden by config, not loaded for ${taskMode} mode`);
+    return Object.assign({}, baseConfig, { settings_provider: 'none' });
+}
+
 /** @param {Config} baseConfig  @param {TaskConfig} taskConfig */
-async function asyncMain(baseConfig, taskConfig) {
-    globalThis.dryrun = baseConfig.dry_run || taskConfig.dry_run || forceDryRun || false;
+async function asyncMain(baseConfig, taskConfig, extraArgs, { watch }) {
+    globalThis.dryrun = baseConfig.dry_run || taskConfig.dry_run || false;
     console.info(`Run ${taskConfig.mode} mode`);
     if (dryrun) console.warn(`DRY RUN`);
-    if (!baseConfig.d2rmm_path || !fs.existsSync(baseConfig.d2rmm_path)) fatal(`Invalid D2RMM path, set d2rmm_path: ${baseConfig.d2rmm_path}`);
-
-    const d2rmmSettings = await require('./d2rmm_settings').loadD2RMMSettings(baseConfig.d2rmm_path);
+    const d2rmmSettings = await require('./d2rmm_settings').loadD2RMMSettings(getSettingsBaseConfig(baseConfig, taskConfig.mode || 'd2rmm'));
     console.debug(`D2RMM settings:\n`, d2rmmSettings);
-    let gameModName = d2rmmSettings['output-mod-name'];
-    let gamePath = path.resolve(nativePath(baseConfig.path_override_d2r_game || d2rmmSettings.paths));  // Absolute
-    let gameModPath = path.join(gamePath, 'mods', gameModName, `${gameModName}.mpq`);  // Absolute
+    let gameModName = baseConfig.override_output_mod_name || d2rmmSettings['output-mod-name'];
+    if (!gameModName) fatal(`Output mod name not configured: set override_output_mod_name or D2RMM Output Mod Name`);
+    let gamePath = baseConfig.path_override_d2r_game || d2rmmSettings.paths;
+    if (!gamePath && !baseConfig.path_override_output_data) fatal(`Game path not configured: set path_override_d2r_game, path_override_output_data or D2RMM D2R Path`);
+    gamePath &&= path.resolve(nativePath(gamePath));  // Absolute
+    let gameModPath = gamePath ? path.join(gamePath, 'mods', gameModName, `${gameModName}.mpq`) : null;  // Absolute
+    let modsPath = baseConfig.path_override_d2rmm_mods || (baseConfig.d2rmm_path ? path.join(baseConfig.d2rmm_path, 'mods') : null);
+    if ((taskConfig.mode || 'd2rmm') === 'd2rmm' && (!modsPath || !fs.existsSync(modsPath))) fatal(`Invalid D2RMM mods path, set d2rmm_path or path_override_d2rmm_mods: ${modsPath}`);
     let outputPath = baseConfig.path_override_output_data || gameModPath;
     let baseInputPath = baseConfig.path_override_input_data || (d2rmmSettings['pre-extracted-data'] && d2rmmSettings['pre-extracted-data-path']) || null;
     let userInputPath = baseConfig.path_user_input_data || null;
-    if (!baseInputPath && !userInputPath) fatal(`Input path not configured: set path_aux_input_data, path_override_input_data or D2RMM Pre-Extracted Data`);
+    let cascPath = baseConfig.path_casc_input || null;
+    if (!baseInputPath && !userInputPath && !cascPath) fatal(`Input path not configured: set path_aux_input_data, path_override_input_data, path_casc_input or D2RMM Pre-Extracted Data`);
     baseInputPath ??= userInputPath;
     let outputAbsPath = path.resolve(nativePath(outputPath), 'data');
-    let baseInputAbsPath = path.resolve(nativePath(baseInputPath));
+    let baseInputAbsPath = baseInputPath ? path.resolve(nativePath(baseInputPath)) : null;
     let userInputAbsPath = userInputPath ? path.resolve(nativePath(userInputPath)) : null;
+    let cascAbsPath = cascPath ? path.resolve(nativePath(cascPath)) : null;
     console.info(`Use output to: ${outputPath} as: ${outputAbsPath}`);
-    console.info(`Use input data from: ${baseInputPath} as: ${baseInputAbsPath}`);
+    if (baseInputPath) console.info(`Use input data from: ${baseInputPath} as: ${baseInputAbsPath}`);
     if (userInputPath) console.info(`Use user input data from: ${userInputPath} as: ${userInputAbsPath}`);
+    if (cascPath) {
+        if (!fs.existsSync(path.join(cascAbsPath, '.build.info'))) fatal(`CASC input is not a D2R game dir (no .build.info): ${cascPath}`);
+        console.info(`Use CASC input data from: ${cascPath} as: ${cascAbsPath}`);
+    }
+    let inputLayers = (baseConfig.input_layers ?? []).map((layer, i) => {
+        if (typeof layer === 'string') layer = { path: layer };
+        if (typeof layer?.path !== 'string') fatal(`Invalid input layer: input_layers[${i}] path not set`);
+        let name = layer.name || `layer${i}`, layerAbsPath = path.resolve(nativePath(layer.path));
+        if (!fs.existsSync(layerAbsPath)) fatal(`Input layer ${name} does not exist: ${layer.path}`);
+        console.info(`Use input layer ${name} from: ${layer.path} as: ${layerAbsPath}`);
+        return { name, path: layerAbsPath, include: layer.include, exclude: layer.exclude };
+    });
     if (/*outputPath === gameModPath &&*/ fs.existsSync(outputPath) && !fs.existsSync(path.join(outputPath, 'modinfo.json')))
         fatal(`Error: output path exists and does not look like D2R mod dir: ${outputPath}`);
     let externLibJSPath = path.resolve(__dirname, nativePath(baseConfig.path_extern_libjs ?? ''));
     console.log(`Use Extern Lib JS Path: ${externLibJSPath}`);
 
     /** @type {PathConfig} */
-    let pathConfig = { outputPath: outputAbsPath, baseInputPath: baseInputAbsPath, userInputPath: userInputAbsPath, externLibJSPath };
+    let pathConfig = { outputPath: outputAbsPath, baseInputPath: baseInputAbsPath, userInputPath: userInputAbsPath, inputLayers, cascPath: cascAbsPath, externLibJSPath, modsPath };
     pathConfig.task = resolveTaskPaths(pathConfig, taskConfig, gameModName);
     let savePath = baseConfig.save_path || `${gameModName}/`;
     let taskMode = taskConfig.mode || 'd2rmm';
-    if (replaceConsole) {
-        globalThis.console = Object.assign(new console.Console(process.stdout), { Console: console.Console } );
-        require('console-stamp')(globalThis.console, {
-            format: ':date(yyyy/mm/dd HH:MM:ss.l) :label(7)',
-            level: baseConfig.log_level || kDefaultConfig.log_level,
-        });
-    }
+    globalThis.console = Object.assign(new console.Console(process.stdout), { Console: console.Console } );
+    require('console-stamp')(globalThis.console, {
+        format: (baseConfig.log_timestamps ?? kDefaultConfig.log_timestamps) ? ':date(yyyy/mm/dd HH:MM:ss.l) :label(7)' : '',
+        level: baseConfig.log_level || kDefaultConfig.log_level,
+    });
     /** @type {RunConfig} */
     let config = {
         base: baseConfig, task: taskConfig, path: pathConfig, d2rmod: { name: gameModName, savePath }, d2rmm: d2rmmSettings,
-        argv: process.argv.slice(4),
+        argv: extraArgs,
     };
     try {
-        if (taskMode === 'd2rmm') await runD2RMMTask(config);
+        if (taskMode === 'd2rmm' && watch) await require('./watch').watchD2RMMTask(config);
+        else if (taskMode === 'd2rmm') await runD2RMMTask(config);
+        else if (taskMode === 'd2rmm.sync') await runD2RMMSyncTask(config);
+        else if (taskMode === 'd2rmm.list') await runD2RMMListTask(config);
+        else if (taskMode === 'd2rmm.restore') await runD2RMMRestoreTask(config);
+        else if (taskMode === 'd2rmm.resolve') await runD2RMMResolveTask(config);
+        else if (taskMode === 'd2rmm.package') await runD2RMMPackageTask(config);
+        else if (taskMode === 'd2rmm.install') await runD2RMMInstallTask(config);
         else if (taskMode.startsWith('d2s.')) await runD2STask(config);
     } catch (e) { fatal(e, 'asyncMain'); }
 }
@@ -0,0 +1,96 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+const assert = require('node:assert/strict');
+const childProcess = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-main-'));
+const inputDir = path.join(tmpDir, 'input'), modsDir = path.join(tmpDir, 'mods'), outputDir = path.join(tmpDir, 'D2RMOD', 'D2RMOD.mpq');
+fs.mkdirSync(path.join(inputDir, 'global', 'excel'), { recursive: true });
+fs.writeFileSync(path.join(inputDir, 'global', 'excel', 'misc.txt'), 'name\tcode\nRing\trin\n');
+fs.mkdirSync(path.join(outputDir, 'data'), { recursive: true });
+fs.writeFileSync(path.join(outputDir, 'modinfo.json'), '{"name":"D2RMOD","savepath":"D2RMOD/"}');
+function writeMod(modName, js, mod = {}, config = {}) {
+    fs.mkdirSync(path.join(modsDir, modName), { recursive: true });
+    fs.writeFileSync(path.join(modsDir, modName, 'mod.js'), js);
+    fs.writeFileSync(path.join(modsDir, modName, 'mod.json'), JSON.stringify(Object.assign({ name: modName }, mod)));
+    fs.writeFileSync(path.join(modsDir, modName, 'config.json'), JSON.stringify(config));
+}
+const kAppendRow = (row) => `let tsv = D2RMM.readTsv('global/excel/misc.txt'); tsv.rows.push(${row}); D2RMM.writeTsv('global/excel/misc.txt', tsv);`;
+writeMod('ModA', kAppendRow(`{ name: 'A', code: 'a' }`), { version: '1.0' });
+writeMod('ModB', kAppendRow(`{ name: config.label, code: String(config.lvl) }`),
+    { version: '2.0', config: [ { id: 'label', type: 'text', defaultValue: 'B' }, { id: 'lvl', type: 'number', defaultValue: 1 } ] }, { label: 'B', lvl: 1 });
+fs.writeFileSync(path.join(tmpDir, 'base.jsonc'), JSON.stringify({
+    settings_provider: 'none', override_output_mod_name: 'D2RMOD', path_override_d2rmm_mods: modsDir,
+    path_override_d2r_game: '', path_override_output_data: outputDir, path_override_input_data: inputDir, path_user_input_data: '',
+    path_extern_libjs: 'extern', d2rmm_config_invalid: 'coerce',
+}));
+// Profile "lite" replaces the mods list; "tuned" merges into mod_config_overrides (its config wins per key).
+fs.writeFileSync(path.join(tmpDir, 'task.jsonc'), JSON.stringify({
+    mode: 'd2rmm', clean_output_dir: true, override_ordered_mods: [ 'ModA', 'ModB' ], mod_config_overrides: { ModB: { label: 'Task', lvl: 2 } },
+    profiles: { lite: { mods: [ 'ModB' ] }, tuned: { config: { ModB: { lvl: '7' } } } },
+}));
+
+/** @returns {{ status: number, stdout: string }} */
+function runMain(...args) {
+    return childProcess.spawnSync(process.execPath, [ path.join(__dirname, 'main.js'), ...args, path.join(tmpDir, 'base.jsonc'), path.join(tmpDir, 'task.jsonc') ],
+        { cwd: tmpDir, encoding: 'utf-8', timeout: 60000 });
+}
+const readMisc = () => fs.readFileSync(path.join(outputDir, 'data', 'global', 'excel', 'misc.txt'), 'utf-8');
+const readBuildRecord = () => JSON.parse(fs.readFileSync(path.join(outputDir, 'd2rmp-build.json'), 'utf-8'));
+
+// No profile: task options as is.
+let result = runMain();
+assert.equal(result.status, 0, result.stdout);
+assert.equal(readMisc(), 'name\tcode\nRing\trin\nA\ta\nTask\t2\n');
+assert.equal(readBuildRecord().profile, null);
+
+result = runMain('--profile=lite');
+assert.equal(result.status, 0, result.stdout);
+assert.equal(readMisc(), 'name\tcode\nRing\trin\nTask\t2\n');
+assert.equal(readBuildRecord().profile, 'lite');
+assert.deepEqual(readBuildRecord().mods, [ { name: 'ModB', version: '2.0', config: { label: 'Task', lvl: 2 } } ]);
+
+result = runMain('--profile=tuned');
+assert.equal(result.status, 0, result.stdout);
+assert.equal(readMisc(), 'name\tcode\nRing\trin\nA\ta\nTask\t7\n');
+assert.deepEqual(readBuildRecord().mods.map(({ name, config }) => [ name, config ]), [ [ 'ModA', {} ], [ 'ModB', { label: 'Task', lvl: 7 } ] ]);
+assert.equal(readBuildRecord().profile, 'tuned');
+// Overrides do not edit config.json.
+assert.deepEqual(JSON.parse(fs.readFileSync(path.join(modsDir, 'ModB', 'config.json'), 'utf-8')), { label: 'B', lvl: 1 });
+
+// Unknown profile fails before running, leaving output of the last run.
+result = runMain('--profile=nope');
+assert.notEqual(result.status, 0);
+assert.match(result.stdout + result.stderr, /Unknown profile: nope \(profiles: lite, tuned\)/);
+assert.equal(readBuildRecord().profile, 'tuned');
+
+// d2s modes do not load D2RMM settings when config sets everything they provide: D2RMM is not needed with leveldb provider.
+fs.writeFileSync(path.join(tmpDir, 'base_d2s.jsonc'), JSON.stringify({
+    extends: 'base.jsonc', settings_provider: 'leveldb', d2rmm_path: path.join(tmpDir, 'no-d2rmm'), path_override_d2rmm_mods: '',
+}));
+fs.mkdirSync(path.join(tmpDir, 'saves'));
+fs.writeFileSync(path.join(tmpDir, 'task_d2s.jsonc'), JSON.stringify({
+    mode: 'd2s.export', input_saves: [ '*.d2s' ], path_excel_input_data: '$input/global/excel', path_override_save_path: path.join(tmpDir, 'saves'),
+}));
+result = childProcess.spawnSync(process.execPath, [ path.join(__dirname, 'main.js'), path.join(tmpDir, 'base_d2s.jsonc'), path.join(tmpDir, 'task_d2s.jsonc') ],
+    { cwd: tmpDir, encoding: 'utf-8', timeout: 60000 });
+assert.match(result.stdout, /D2RMM settings are overridden by config, not loaded for d2s\.export mode/);
+assert.match(result.stdout, /Use output to: /);  // Past settings and path checks (the run itself needs d2s library next to this project)
+assert.doesNotMatch(result.stdout, /Invalid D2RMM path/);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+console.log('main_test: OK');
@@ -0,0 +1,170 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { parseTsv, getTSVKeyCol, matchTSVRows } = require('./diff');
+const { readFileSyncNoThrow, writeFileSync } = require('./utils');
+
+/**
+ * @typedef {import('./diff').TSVData} TSVData
+ * @typedef {{ type: 'cell', row: string, col: string, base: ?string, ours: ?string, theirs: ?string }} MergeCellConflict
+ * @typedef {{ type: 'row', row: string, reason: string }} MergeRowConflict
+ * @typedef {MergeCellConflict|MergeRowConflict} MergeConflict
+ * @typedef {{ headers: string[], rows: Object<string, string>[], conflictRows: Object<string, string>[], conflicts: MergeConflict[] }} TSVMergeResult
+ */
+
+const kConflictMarkers = [ '<<<<<<< ', ' ||||||| ', ' ======= ', ' >>>>>>>' ];
+function makeConflictCell(ours, base, theirs) {
+    return kConflictMarkers[0] + (ours ?? '') + kConflictMarkers[1] + (base ?? '') + kConflictMarkers[2] + (theirs ?? '') + kConflictMarkers[3];
+}
+
+/** Ours header order, with columns removed by theirs dropped and columns added by theirs inserted after their predecessor. */
+function mergeTSVHeaders(baseTSV, oursTSV, theirsTSV) {
+    let baseHeaders = new Set(baseTSV.headers), theirsHeaders = new Set(theirsTSV.headers);
+    let headers = oursTSV.headers.filter(header => !baseHeaders.has(header) || theirsHeaders.has(header));
+    for (let [ i, header ] of theirsTSV.headers.entries()) {
+        if (baseHeaders.has(header) || headers.includes(header)) continue;
+        let index = i > 0 ? headers.indexOf(theirsTSV.headers[i - 1]) + 1 : 0;
+        headers.splice(index > 0 || i === 0 ? index : headers.length, 0, header);
+    }
+    return headers;
+}
+
+/**
+ * Merge rows by key column (or sequence alignment) and cells by column name. Conflicting cells keep ours value.
+ * @param {TSVData} baseTSV  @param {TSVData} oursTSV  @param {TSVData} theirsTSV  @param {?string} keyCol  @returns {TSVMergeResult}
+ */
+function mergeTSV(baseTSV, oursTSV, theirsTSV, keyCol) {
+    let headers = mergeTSVHeaders(baseTSV, oursTSV, theirsTSV);
+    let descCol = keyCol ?? headers[0];
+    const commonCols = (tsv0, tsv1) => tsv0.headers.filter(header => tsv1.headers.includes(header));
+    let baseToOurs = new Map(matchTSVRows(baseTSV, oursTSV, keyCol, commonCols(baseTSV, oursTSV)));
+    let baseToTheirs = new Map(matchTSVRows(baseTSV, theirsTSV, keyCol, commonCols(baseTSV, theirsTSV)));
+    let oursToBase = new Map([ ...baseToOurs ].map(([ b, o ]) => [ o, b ])), theirsToBase = new Map([ ...baseToTheirs ].map(([ b, t ]) => [ t, b ]));
+    let oursHeaders = new Set(oursTSV.headers), theirsHeaders = new Set(theirsTSV.headers);
+    // Missing column in one side means unchanged from base.
+    const sideValue = (row, sideHeaders, col, baseValue) => sideHeaders.has(col) ? row?.[col] : baseValue;
+    const isRowChanged = (baseRow, row, sideHeaders) => headers.some(col => sideValue(row, sideHeaders, col, baseRow[col]) !== baseRow[col]);
+    let /** @type {MergeConflict[]} */ conflicts = [];
+
+    const mergeRow = (baseRow, oursRow, theirsRow) => {
+        let values = {}, conflictValues = {};
+        for (let col of headers) {
+            let v0 = baseRow?.[col], v1 = sideValue(oursRow, oursHeaders, col, v0), v2 = sideValue(theirsRow, theirsHeaders, col, v0);
+            if (v1 === v2 || v2 === v0) {
+                values[col] = conflictValues[col] = v1;
+            } else if (v1 === v0) {
+                values[col] = conflictValues[col] = v2;
+            } else {
+                values[col] = v1;
+                conflictValues[col] = makeConflictCell(v1, v0, v2);
+                conflicts.push({ type: 'cell', row: (oursRow ?? theirsRow)[descCol] ?? null, col, base: v0 ?? null, ours: v1 ?? null, theirs: v2 ?? null });
+            }
+        }
+        return { values, conflictValues };
+    };
+
+    let theirsAddedByKey = new Map();
+    for (let [ t, theirsRow ] of theirsTSV.rows.entries()) {
+        if (keyCol && !theirsToBase.has(t) && theirsRow[keyCol] !== undefined) theirsAddedByKey.set(theirsRow[keyCol], t);
+    }
+    let merged = [], theirsMerged = new Map();
+    for (let [ o, oursRow ] of oursTSV.rows.entries()) {
+        let b = oursToBase.get(o);
+        if (b === undefined) {  // Added by ours, maybe also by theirs.
+            let t = keyCol ? theirsAddedByKey.get(oursRow[keyCol]) : undefined;
+            let entry = mergeRow(null, oursRow, t === undefined ? oursRow : theirsTSV.rows[t]);
+            if (t !== undefined) theirsMerged.set(t, entry);
+            merged.push(entry);
+            continue;
+        }
+        let baseRow = baseTSV.rows[b], t = baseToTheirs.get(b);
+        if (t === undefined) {  // Deleted by theirs
+            if (!isRowChanged(baseRow, oursRow, oursHeaders)) continue;
+            conflicts.push({ type: 'row', row: oursRow[descCol] ?? null, reason: 'modified by ours, deleted by theirs' });
+            merged.push(mergeRow(baseRow, oursRow, baseRow));
+            continue;
+        }
+        let entry = mergeRow(baseRow, oursRow, theirsTSV.rows[t]);
+        theirsMerged.set(t, entry);
+        merged.push(entry);
+    }
+    for (let [ b, baseRow ] of baseTSV.rows.entries()) {  // Deleted by ours
+        let t = baseToTheirs.get(b);
+        if (baseToOurs.has(b) || t === undefined || !isRowChanged(baseRow, theirsTSV.rows[t], theirsHeaders)) continue;
+        conflicts.push({ type: 'row', row: baseRow[descCol] ?? null, reason: 'deleted by ours, modified by theirs' });
+    }
+    for (let [ t, theirsRow ] of theirsTSV.rows.entries()) {  // Added by theirs: insert after preceding theirs row
+        if (theirsToBase.has(t) || theirsMerged.has(t)) continue;
+        let entry = mergeRow(null, theirsRow, theirsRow), anchor = theirsMerged.get(t - 1);
+        let index = t === 0 ? 0 : (anchor ? merged.indexOf(anchor) + 1 : merged.length);
+        merged.splice(index, 0, entry);
+        theirsMerged.set(t, entry);
+    }
+    return { headers, rows: merged.map(entry => entry.values), conflictRows: merged.map(entry => entry.conflictValues), conflicts };
+}
+
+/** @param {string[]} headers  @param {Object<string, string>[]} rows */
+function stringifyTsv(headers, rows) {
+    return [ headers.join('\t'), ...rows.map(row => headers.map(header => row[header] ?? '').join('\t')), '' ].join('\n');
+}
+
+function readTsvFile(filepath, keyCol) {
+    let [ content, err ] = readFileSyncNoThrow(filepath);
+    if (err || content === null) throw err ?? new Error(`Cannot read: ${filepath}`);
+    return parseTsv(content, keyCol);
+}
+
+/** @param {{ outputPath?: string, conflictTsvPath?: string }}  @returns {TSVMergeResult} */
+function mergeTSVFiles(basePath, oursPath, theirsPath, { outputPath, conflictTsvPath } = {}) {
+    let keyCol = getTSVKeyCol(basePath);
+    let result = mergeTSV(readTsvFile(basePath, keyCol), readTsvFile(oursPath, keyCol), readTsvFile(theirsPath, keyCol), keyCol);
+    if (outputPath) writeFileSync(outputPath, stringifyTsv(result.headers, result.rows));
+    if (conflictTsvPath && result.conflicts.length > 0) writeFileSync(conflictTsvPath, stringifyTsv(result.headers, result.conflictRows));
+    return result;
+}
+
+/** @param {MergeConflict[]} conflicts */
+function formatConflicts(conflicts) {
+    let cellCount = conflicts.filter(({ type }) => type === 'cell').length;
+    return conflicts.map(conflict => conflict.type === 'cell' ?
+        `Conflict: Row {${conflict.row}} [${conflict.col}]: base {${conflict.base}} ours {${conflict.ours}} theirs {${conflict.theirs}}` :
+        `Conflict: Row {${conflict.row}}: ${conflict.reason}`
+    ).concat(`Merge: ${cellCount} Cell conflicts, ${conflicts.length - cellCount} Row conflicts`).join('\n');
+}
+
+module.exports = { mergeTSV, mergeTSVFiles, stringifyTsv, formatConflicts };
+if (require.main === module) main();
+
+function printUsage() { return console.info(`
+Usage: node ${path.basename(__filename)} [--format=text|json] [--conflict-tsv=<file>] <base.txt> <ours.txt> <theirs.txt> <output.txt>
+  Three-way merge of TSV files. Conflicting cells keep ours value in <output.txt>.
+  --conflict-tsv: also write merged TSV with conflict markers in conflicting cells.
+  --format: conflict report format, text (default) or json.
+`.replace(/^\n/, '')); }
+
+function main() {
+    globalThis.dryrun ??= false;
+    let args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const getOption = (name) => process.argv.slice(2).find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+    let format = getOption('format') ?? 'text', conflictTsvPath = getOption('conflict-tsv');
+    if (args.length !== 4 || ![ 'text', 'json' ].includes(format)) return printUsage();
+    let [ basePath, oursPath, theirsPath, outputPath ] = args.map(arg => path.normalize(arg));
+    for (let filepath of [ basePath, oursPath, theirsPath ]) {
+        if (!fs.existsSync(filepath)) throw new Error(`Input does not exist: ${filepath}`);
+    }
+    let { conflicts } = mergeTSVFiles(basePath, oursPath, theirsPath, { outputPath, conflictTsvPath });
+    console.info(format === 'json' ? JSON.stringify(conflicts, null, 2) : formatConflicts(conflicts));
+    if (conflicts.length > 0) process.exitCode = 1;
+}
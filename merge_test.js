@@ -0,0 +1,64 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+globalThis.dryrun = false;
+const { mergeTSVFiles, formatConflicts } = require('./merge');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-merge-'));
+function writeTsv(side, lines) {
+    let filepath = path.join(tmpDir, side, 'armor.txt');
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, lines.map(cells => cells.join('\t')).join('\n') + '\n');
+    return filepath;
+}
+const readLines = (filepath) => fs.readFileSync(filepath, 'utf-8').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+
+// Keyed rows (armor.code): ours edits Cap/Helm, deletes Plate, adds a row;
+// theirs adds a column and a row, edits Helm (conflict), Mask, and Plate (deleted by ours).
+let basePath = writeTsv('base', [
+    [ 'name', 'code', 'level', 'cost' ], [ 'Cap', 'cap', '1', '10' ], [ 'Helm', 'hlm', '5', '20' ], [ 'Mask', 'msk', '9', '30' ], [ 'Plate', 'plt', '20', '40' ],
+]);
+let oursPath = writeTsv('ours', [
+    [ 'name', 'code', 'level', 'cost' ], [ 'Cap', 'cap', '2', '10' ], [ 'Helm', 'hlm', '5', '25' ], [ 'Mask', 'msk', '9', '30' ], [ 'Ours', 'our', '3', '5' ],
+]);
+let theirsPath = writeTsv('theirs', [
+    [ 'name', 'code', 'level', 'str', 'cost' ], [ 'New', 'new', '2', '0', '1' ], [ 'Cap', 'cap', '1', '10', '10' ], [ 'Helm', 'hlm', '5', '20', '30' ],
+    [ 'Mask', 'msk', '10', '30', '30' ], [ 'Plate', 'plt', '20', '40', '45' ],
+]);
+let outputPath = path.join(tmpDir, 'armor.txt'), conflictTsvPath = path.join(tmpDir, 'armor.conflict.txt');
+let result = mergeTSVFiles(basePath, oursPath, theirsPath, { outputPath, conflictTsvPath });
+console.log(formatConflicts(result.conflicts));
+assert.deepEqual(readLines(outputPath), [
+    [ 'name', 'code', 'level', 'str', 'cost' ], [ 'New', 'new', '2', '0', '1' ], [ 'Cap', 'cap', '2', '10', '10' ], [ 'Helm', 'hlm', '5', '20', '25' ],
+    [ 'Mask', 'msk', '10', '30', '30' ], [ 'Ours', 'our', '3', '', '5' ],
+]);
+assert.deepEqual(result.conflicts, [
+    { type: 'cell', row: 'hlm', col: 'cost', base: '20', ours: '25', theirs: '30' },
+    { type: 'row', row: 'plt', reason: 'deleted by ours, modified by theirs' },
+]);
+assert.deepEqual(readLines(conflictTsvPath)[3], [ 'Helm', 'hlm', '5', '20', '<<<<<<< 25 ||||||| 20 ======= 30 >>>>>>>' ]);
+assert.match(formatConflicts(result.conflicts), /Merge: 1 Cell conflicts, 1 Row conflicts$/);
+
+// No conflicts: no conflict TSV.
+fs.rmSync(conflictTsvPath);
+result = mergeTSVFiles(basePath, oursPath, basePath, { outputPath, conflictTsvPath });
+assert.deepEqual(result.conflicts, []);
+assert.deepEqual(readLines(outputPath), readLines(oursPath));
+assert.ok(!fs.existsSync(conflictTsvPath));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+console.log('merge_test: OK');
@@ -0,0 +1,213 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { parseTsv, getTSVKeyCol, diffDir } = require('./diff');
+const { scriptPath, readFileSyncNoThrow, writeFileSync, cpSync, mkdirSync } = require('./utils');
+
+/**
+ * Row reference in generated mod: key column value, or if the file has no unique column, stock cell values of columns kept by the edit
+ * and occurrence among identical rows (nth, omitted if 0).
+ * @typedef {string|{ cells: Object<string, string>, nth?: number }} RowRef
+ * @typedef {{ path: string, keyCol: ?string, removeHeaders: string[], addHeaders: { header: string, after: ?string }[],
+ *     set: { row: RowRef, cells: Object<string, string> }[], remove: RowRef[], move: { row: RowRef, after: ?RowRef }[],
+ *     add: { after?: ?RowRef, index?: number, values: Object<string, string> }[] }} TSVEdit
+ */
+
+/** Prefer excel key column, otherwise first column with unique non-blank values.  @returns {?string} */
+function pickReplayKeyCol(tsv, preferredKeyCol) {
+    const isUniqueCol = (col) => {
+        let values = new Set();
+        for (let row of tsv.rows) {
+            if (row[col] === undefined || values.has(row[col])) return false;
+            values.add(row[col]);
+        }
+        return true;
+    };
+    if (preferredKeyCol && tsv.headers.includes(preferredKeyCol) && isUniqueCol(preferredKeyCol)) return preferredKeyCol;
+    return tsv.headers.find(isUniqueCol) ?? null;
+}
+
+function readTsvFile(filepath) {
+    let [ content, err ] = readFileSyncNoThrow(filepath);
+    if (err || content === null) throw err ?? new Error(`Cannot read: ${filepath}`);
+    return parseTsv(content, null);
+}
+
+const toRowValues = (row, headers) => Object.fromEntries(headers.map(header => [ header, row[header] ?? '' ]));
+
+/** @param {import('./diff').TSVDiffReport} report  @returns {TSVEdit} */
+function makeTSVEdit(relPath, report) {
+    let srcTSV = readTsvFile(report.srcPath), dstTSV = readTsvFile(report.dstPath);
+    let keyCol = pickReplayKeyCol(srcTSV, getTSVKeyCol(relPath));
+    let keptHeaders = srcTSV.headers.filter(header => !report.headers.srcOnly.includes(header));
+    const srcRowRef = (srcIndex) => {
+        if (keyCol) return srcTSV.rows[srcIndex][keyCol];
+        let cells = toRowValues(srcTSV.rows[srcIndex], keptHeaders);
+        let nth = srcTSV.rows.slice(0, srcIndex).filter(row => keptHeaders.every(header => (row[header] ?? '') === cells[header])).length;
+        return nth > 0 ? { cells, nth } : { cells };
+    };
+    const dstRowRef = (dstIndex) => dstIndex < 0 ? null : (keyCol ? dstTSV.rows[dstIndex][keyCol] ?? null : undefined);
+    let /** @type {TSVEdit} */ edit = { path: scriptPath(relPath), keyCol, removeHeaders: [], addHeaders: [], set: [], remove: [], move: [], add: [] };
+    edit.removeHeaders.push(...report.headers.srcOnly);
+    for (let header of report.headers.dstOnly) {
+        let index = dstTSV.headers.indexOf(header);
+        edit.addHeaders.push({ header, after: index > 0 ? dstTSV.headers[index - 1] : null });
+    }
+    if (report.headers.reordered) console.warn(`mkmod: ${relPath}: column re-ordering is not replayed`);
+    for (let rowDiff of report.rows) {
+        if (rowDiff.type === 'removed') {
+            edit.remove.push(srcRowRef(rowDiff.srcIndex));
+        } else if (rowDiff.type === 'added') {
+            let add = { values: toRowValues(dstTSV.rows[rowDiff.dstIndex], dstTSV.headers) };
+            if (keyCol) add.after = dstRowRef(rowDiff.dstIndex - 1); else add.index = rowDiff.dstIndex;
+            edit.add.push(add);
+        } else {
+            if (rowDiff.cells.length > 0)
+                edit.set.push({ row: srcRowRef(rowDiff.srcIndex), cells: Object.fromEntries(rowDiff.cells.map(({ col, dst }) => [ col, dst ?? '' ])) });
+            if (rowDiff.type === 'moved') {
+                if (keyCol) edit.move.push({ row: srcRowRef(rowDiff.srcIndex), after: dstRowRef(rowDiff.dstIndex - 1) });
+                else console.warn(`mkmod: ${relPath}: moved row ${rowDiff.srcIndex + 1} is not replayed (no key column)`);
+            }
+        }
+    }
+    // Values of added columns in existing rows are not part of common column diff.
+    if (report.headers.dstOnly.length > 0) {
+        let srcKeys = new Set(keyCol ? srcTSV.rows.map(row => row[keyCol]) : []);
+        if (!keyCol) console.warn(`mkmod: ${relPath}: values of added columns in existing rows are not replayed (no key column)`);
+        for (let row of dstTSV.rows) {
+            if (!srcKeys.has(row[keyCol])) continue;
+            let cells = Object.fromEntries(report.headers.dstOnly.filter(header => row[header] !== undefined).map(header => [ header, row[header] ]));
+            if (Object.keys(cells).length === 0) continue;
+            let set = edit.set.find(set => set.row === row[keyCol]);
+            if (set) Object.assign(set.cells, cells); else edit.set.push({ row: row[keyCol], cells });
+        }
+    }
+    return edit;
+}
+
+// Runs inside D2RMM: kEdits/kCopies are prepended by generator.
+const kReplayScript = String.raw`
+function findRowIndex(tsv, keyCol, rowRef) {
+    if (keyCol) return tsv.rows.findIndex(row => row[keyCol] === rowRef);
+    let nth = rowRef.nth ?? 0;
+    return tsv.rows.findIndex(row => Object.entries(rowRef.cells).every(([ col, value ]) => (row[col] ?? '') === value) && nth-- === 0);
+}
+
+function replayTsvEdit(edit) {
+    const tsv = D2RMM.readTsv(edit.path);
+    // Rows are looked up before any edit, while they still match stock values.
+    const lookup = (rowRef) => {
+        const index = findRowIndex(tsv, edit.keyCol, rowRef);
+        if (index < 0) console.warn(edit.path + ': row not found: ' + JSON.stringify(rowRef));
+        return tsv.rows[index] ?? null;
+    };
+    const setRows = edit.set.map(({ row }) => lookup(row)), removeRows = edit.remove.map(lookup), moveRows = edit.move.map(({ row }) => lookup(row));
+    for (const header of edit.removeHeaders) {
+        const index = tsv.headers.indexOf(header);
+        if (index >= 0) tsv.headers.splice(index, 1);
+        for (const row of tsv.rows) delete row[header];
+    }
+    for (const { header, after } of edit.addHeaders) {
+        if (tsv.headers.includes(header)) continue;
+        const index = after === null ? 0 : tsv.headers.indexOf(after) + 1;
+        tsv.headers.splice(index > 0 || after === null ? index : tsv.headers.length, 0, header);
+    }
+    for (const [ i, { cells } ] of edit.set.entries()) {
+        if (setRows[i]) Object.assign(setRows[i], cells);
+    }
+    for (const row of removeRows) {
+        if (row) tsv.rows.splice(tsv.rows.indexOf(row), 1);
+    }
+    const insertAfter = (rowData, after) => {
+        const index = after === null ? 0 : findRowIndex(tsv, edit.keyCol, after) + 1;
+        tsv.rows.splice(index > 0 || after === null ? index : tsv.rows.length, 0, rowData);
+    };
+    for (const [ i, { after } ] of edit.move.entries()) {
+        if (moveRows[i]) insertAfter(tsv.rows.splice(tsv.rows.indexOf(moveRows[i]), 1)[0], after);
+    }
+    for (const { after, index, values } of edit.add) {
+        if (edit.keyCol && findRowIndex(tsv, edit.keyCol, values[edit.keyCol]) >= 0) {
+            console.warn(edit.path + ': row already exists: ' + values[edit.keyCol]);
+        } else if (index !== undefined) {
+            tsv.rows.splice(Math.min(index, tsv.rows.length), 0, values);
+        } else {
+            insertAfter(values, after);
+        }
+    }
+    D2RMM.writeTsv(edit.path, tsv);
+}
+
+for (const edit of kEdits) replayTsvEdit(edit);
+for (const copyPath of kCopies) D2RMM.copyFile(copyPath, copyPath, true);
+`;
+
+/** @param {import('./diff').DiffReport} diffReport  @returns {{ edits: TSVEdit[], copies: string[] }} */
+function makeModEdits(diffReport) {
+    let edits = [], copies = [ ...diffReport.dstOnly ];
+    for (let srcOnlyPath of diffReport.srcOnly) console.warn(`mkmod: ${srcOnlyPath}: deleted files cannot be replayed`);
+    for (let report of diffReport.files) {
+        if (report.type === 'tsv' && report.rows?.length === 0 && !report.headers.srcOnly.length && !report.headers.dstOnly.length) {
+            console.warn(`mkmod: ${report.path}: whitespace-only changes are not replayed`);
+        } else if (report.type === 'tsv') {
+            edits.push(makeTSVEdit(report.path, report));
+        } else {
+            console.warn(`mkmod: ${report.path}: not a TSV file, copied as a whole`);
+            copies.push(report.path);
+        }
+    }
+    return { edits, copies };
+}
+
+/** @param {string} stockDir  @param {string} editedDir  @param {string} modDir  @param {{ name?: string }} */
+function makeMod(stockDir, editedDir, modDir, { name } = {}) {
+    name ??= path.basename(path.resolve(modDir));
+    let diffReport = diffDir(stockDir, editedDir, { checkTSVPath: true, format: 'none' });
+    let { edits, copies } = makeModEdits(diffReport);
+    mkdirSync(modDir);
+    let modInfo = { name, description: `Generated by d2rmp from ${path.basename(path.resolve(editedDir))}`, author: '', version: '1.0' };
+    writeFileSync(path.join(modDir, 'mod.json'), JSON.stringify(modInfo, null, 4) + '\n');
+    let modJS = [
+        `// Generated by d2rmp ${path.basename(__filename)}: replays edits of ${path.basename(path.resolve(editedDir))} on game data.`,
+        `const kEdits = ${JSON.stringify(edits, null, 4)};`,
+        `const kCopies = ${JSON.stringify(copies.map(scriptPath), null, 4)};`,
+    ].join('\n') + '\n' + kReplayScript;
+    writeFileSync(path.join(modDir, 'mod.js'), modJS);
+    for (let copyPath of copies) {
+        mkdirSync(path.dirname(path.join(modDir, copyPath)));
+        cpSync(path.join(editedDir, copyPath), path.join(modDir, copyPath), { force: true, throwError: true });
+    }
+    console.info(`mkmod: ${edits.length} TSV files edited, ${copies.length} files copied => ${modDir}`);
+    return { edits, copies };
+}
+
+module.exports = { makeMod, makeModEdits };
+if (require.main === module) main();
+
+function printUsage() { return console.info(`
+Usage: node ${path.basename(__filename)} [--name=MOD-NAME] <stock-data-dir> <edited-data-dir> <output-mod-dir>
+  Generate a D2RMM mod (mod.json, mod.js) replaying edits of <edited-data-dir> against <stock-data-dir>.
+`.replace(/^\n/, '')); }
+
+function main() {
+    globalThis.dryrun ??= false;
+    let args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    let name = process.argv.slice(2).find(arg => arg.startsWith('--name='))?.slice('--name='.length);
+    if (args.length !== 3) return printUsage();
+    let [ stockDir, editedDir, modDir ] = args.map(arg => path.normalize(arg));
+    for (let dir of [ stockDir, editedDir ]) {
+        if (!fs.statSync(dir, { throwIfNoEntry: false })?.isDirectory()) throw new Error(`Not a directory: ${dir}`);
+    }
+    makeMod(stockDir, editedDir, modDir, { name });
+}
@@ -0,0 +1,85 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+globalThis.dryrun = false;
+const { makeMod } = require('./mkmod');
+const { runD2RMMTask } = require('./runner');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-mkmod-'));
+function writeData(dir, relPath, content) {
+    let filepath = path.join(tmpDir, dir, relPath);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, Array.isArray(content) ? content.map(cells => cells.join('\t')).join('\n') + '\n' : content);
+}
+const readTsvLines = (filepath) => fs.readFileSync(filepath, 'utf-8').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+
+// Edited armor.txt: cell change, removed/added/moved rows, added column; new non-TSV file is copied.
+const kStockArmor = [ [ 'name', 'code', 'level' ], [ 'Cap', 'cap', '1' ], [ 'Helm', 'hlm', '5' ], [ 'Mask', 'msk', '9' ], [ 'Plate', 'plt', '20' ] ];
+writeData('stock', 'global/excel/armor.txt', kStockArmor);
+writeData('edited', 'global/excel/armor.txt', [
+    [ 'name', 'code', 'level', 'str' ], [ 'Cap', 'cap', '1', '0' ], [ 'New', 'new', '2', '3' ], [ 'Mask', 'msk', '10', '0' ], [ 'Helm', 'hlm', '5', '4' ],
+]);
+writeData('edited', 'global/ui/layouts/hud.json', '{"x":1}');
+let modDir = path.join(tmpDir, 'mods', 'Replay');
+let { edits, copies } = makeMod(path.join(tmpDir, 'stock'), path.join(tmpDir, 'edited'), modDir);
+assert.deepEqual(copies, [ 'global/ui/layouts/hud.json' ]);
+assert.equal(edits.length, 1);
+assert.equal(edits[0].keyCol, 'code');
+assert.deepEqual(edits[0].remove, [ 'plt' ]);
+assert.equal(JSON.parse(fs.readFileSync(path.join(modDir, 'mod.json'), 'utf-8')).name, 'Replay');
+assert.equal(fs.readFileSync(path.join(modDir, 'global', 'ui', 'layouts', 'hud.json'), 'utf-8'), '{"x":1}');
+fs.writeFileSync(path.join(modDir, 'config.json'), '{}');
+
+/** Run generated mod on base input dir.  @returns {string} game mod dir */
+async function replayOn(baseDir, modName = 'Replay') {
+    let liveDir = path.join(tmpDir, 'game', path.basename(baseDir), 'Test.mpq');
+    let config = {
+        base: {}, task: { clean_output_dir: true }, argv: [], d2rmod: { name: 'Test', savePath: 'Test/' },
+        path: { outputPath: path.join(liveDir, 'data'), baseInputPath: path.join(tmpDir, baseDir), userInputPath: null,
+            externLibJSPath: null, modsPath: path.join(tmpDir, 'mods'), task: {} },
+        d2rmm: { 'enabled-mods': { [modName]: true }, 'mods-order': [ modName ] },
+    };
+    assert.equal(await runD2RMMTask(config, { watching: true }), true);
+    return liveDir;
+}
+
+(async () => {
+    // Replayed on stock data: same as edited data.
+    let liveDir = await replayOn('stock');
+    assert.deepEqual(readTsvLines(path.join(liveDir, 'data', 'global', 'excel', 'armor.txt')), readTsvLines(path.join(tmpDir, 'edited', 'global', 'excel', 'armor.txt')));
+    assert.equal(fs.readFileSync(path.join(liveDir, 'data', 'global', 'ui', 'layouts', 'hud.json'), 'utf-8'), '{"x":1}');
+
+    // Replayed on patched base data (row added, other cell changed): edits apply by key, other changes are kept.
+    writeData('patched', 'global/excel/armor.txt', [ ...kStockArmor.slice(0, 3), [ 'Hood', 'hod', '3' ], [ 'Mask', 'msk', '9' ], [ 'Plate', 'plt', '25' ] ]);
+    liveDir = await replayOn('patched');
+    assert.deepEqual(readTsvLines(path.join(liveDir, 'data', 'global', 'excel', 'armor.txt')), [
+        [ 'name', 'code', 'level', 'str' ], [ 'Cap', 'cap', '1', '0' ], [ 'New', 'new', '2', '3' ], [ 'Hood', 'hod', '3', '' ], [ 'Mask', 'msk', '10', '0' ], [ 'Helm', 'hlm', '5', '4' ],
+    ]);
+
+    // No unique column: rows are found by values of columns kept by the edit, identical rows by occurrence.
+    writeData('stock-keyless', 'global/excel/lines.txt', [ [ 'kind', 'lvl', 'note' ], [ 'a', '1', 'x' ], [ 'a', '1', 'x' ], [ 'b', '2', 'y' ], [ 'c', '3', 'z' ] ]);
+    writeData('edited-keyless', 'global/excel/lines.txt', [ [ 'kind', 'lvl' ], [ 'a', '1' ], [ 'a', '5' ], [ 'b', '2' ] ]);
+    let keyless = makeMod(path.join(tmpDir, 'stock-keyless'), path.join(tmpDir, 'edited-keyless'), path.join(tmpDir, 'mods', 'Keyless'));
+    assert.equal(keyless.edits[0].keyCol, null);
+    assert.deepEqual(keyless.edits[0].removeHeaders, [ 'note' ]);
+    fs.writeFileSync(path.join(tmpDir, 'mods', 'Keyless', 'config.json'), '{}');
+    liveDir = await replayOn('stock-keyless', 'Keyless');
+    assert.deepEqual(readTsvLines(path.join(liveDir, 'data', 'global', 'excel', 'lines.txt')), [ [ 'kind', 'lvl' ], [ 'a', '1' ], [ 'a', '5' ], [ 'b', '2' ] ]);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log('mkmod_test: OK');
+})();
@@ -0,0 +1,159 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Requirement fields of mod.json (extension to D2RMM mod.json):
+ *   minD2RMMVersion: "1.6"  dependencies: [ "ModA" ] or { "ModA": "1.2" } (min version)  loadAfter/loadBefore: [ "ModB" ] (only if enabled)
+ * @typedef {{ name: string, mod: { version?: string, minD2RMMVersion?: string|number, dependencies?: string[]|Object.<string, string>,
+ *     loadAfter?: string[], loadBefore?: string[] } }} ModMeta
+ */
+
+/** @returns {number[]} */
+function parseVersion(version) { return String(version ?? '').split('.').map(s => parseInt(s) || 0); }
+
+function compareVersions(a, b) {
+    let va = parseVersion(a), vb = parseVersion(b);
+    for (let i = 0; i < Math.max(va.length, vb.length); i++) {
+        if ((va[i] ?? 0) !== (vb[i] ?? 0)) return (va[i] ?? 0) - (vb[i] ?? 0);
+    }
+    return 0;
+}
+
+/** @param {ModMeta} modData  @returns {[ string, ?string ][]} dependency name, min version */
+function getModDependencies(modData) {
+    let dependencies = modData.mod.dependencies ?? [];
+    return Array.isArray(dependencies) ? dependencies.map(name => [ name, null ]) : Object.entries(dependencies);
+}
+
+/** Ordering edges [ before, after, reason ] between loaded mods. */
+function getModOrderEdges(mods) {
+    let loaded = new Set(mods.map(({ name }) => name)), edges = [];
+    for (let modData of mods) {
+        for (let [ name ] of getModDependencies(modData)) if (loaded.has(name)) edges.push([ name, modData.name, 'dependency' ]);
+        for (let name of modData.mod.loadAfter ?? []) if (loaded.has(name)) edges.push([ name, modData.name, 'loadAfter' ]);
+        for (let name of modData.mod.loadBefore ?? []) if (loaded.has(name)) edges.push([ modData.name, name, 'loadBefore' ]);
+    }
+    return edges;
+}
+
+/** Stable topological sort: keeps given order where allowed.  @returns {?ModMeta[]} null on cycle */
+function sortMods(mods, edges) {
+    let indegree = new Map(mods.map(({ name }) => [ name, 0 ])), successors = new Map(mods.map(({ name }) => [ name, [] ]));
+    for (let [ before, after ] of edges) {
+        successors.get(before).push(after);
+        indegree.set(after, indegree.get(after) + 1);
+    }
+    let sorted = [], pending = mods.slice();
+    while (pending.length > 0) {
+        let index = pending.findIndex(({ name }) => indegree.get(name) === 0);
+        if (index < 0) return null;
+        let [ modData ] = pending.splice(index, 1);
+        sorted.push(modData);
+        for (let name of successors.get(modData.name)) indegree.set(name, indegree.get(name) - 1);
+    }
+    return sorted;
+}
+
+/**
+ * Check version requirements, dependencies and ordering of loaded (enabled) mods, before running any script.
+ * @param {ModMeta[]} mods  in configured order  @param {{ version: string, autoOrder: boolean, isInstalled: (name: string) => boolean }}
+ * @returns {[ ModMeta[], string[] ]}  mods in run order, errors
+ */
+function resolveModOrder(mods, { version, autoOrder, isInstalled }) {
+    let errors = [], modsMap = new Map(mods.map(modData => [ modData.name, modData ]));
+    for (let modData of mods) {
+        let minVersion = modData.mod.minD2RMMVersion;
+        if (minVersion !== undefined && compareVersions(version, minVersion) < 0)
+            errors.push(`Mod: ${modData.name} requires D2RMM v${minVersion}, D2RMM mode emulates v${version}`);
+        for (let [ name, minDepVersion ] of getModDependencies(modData)) {
+            let dependency = modsMap.get(name);
+            if (!dependency) {
+                errors.push(`Mod: ${modData.name} depends on ${name}, which is ${isInstalled(name) ? 'disabled' : 'not installed'}`);
+            } else if (minDepVersion && compareVersions(dependency.mod.version, minDepVersion) < 0) {
+                errors.push(`Mod: ${modData.name} depends on ${name} v${minDepVersion}, but found v${dependency.mod.version ?? '?'}`);
+            }
+        }
+    }
+    let edges = getModOrderEdges(mods), position = new Map(mods.map(({ name }, i) => [ name, i ]));
+    let violations = edges.filter(([ before, after ]) => position.get(before) > position.get(after));
+    if (violations.length === 0) return [ mods, errors ];
+    if (autoOrder) {
+        let sorted = sortMods(mods, edges);
+        if (sorted) {
+            console.info(`Mod order: auto re-ordered: ${sorted.map(({ name }) => name).join(', ')}`);
+            return [ sorted, errors ];
+        }
+        errors.push(`Mod order: circular dependencies/loadAfter/loadBefore among: ${[ ...new Set(violations.flatMap(([ before, after ]) => [ before, after ])) ].join(', ')}`);
+    } else {
+        for (let [ before, after, reason ] of violations) errors.push(`Mod order: ${after} must load after ${before} (${reason}); re-order mods or set task option auto_order_mods`);
+    }
+    return [ mods, errors ];
+}
+
+/** Config entries of mod.json, with section children flattened.  @returns {{ id: string, type: string, defaultValue: any }[]} */
+function getModConfigEntries(modConfig) {
+    return (modConfig ?? []).flatMap(entry => entry.type === 'section' ? getModConfigEntries(entry.children) : (entry.id === undefined ? [] : [ entry ]));
+}
+
+/** @returns {[ boolean, any ]}  valid, coerced value (undefined if not coercible) */
+function checkModConfigValue(entry, value) {
+    switch (entry.type) {
+    case 'checkbox': {
+        if (typeof value === 'boolean') return [ true, value ];
+        let coerced = { true: true, false: false, 1: true, 0: false }[String(value).toLowerCase()];
+        return [ false, coerced ];
+    }
+    case 'number': {
+        let number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+        if (Number.isNaN(number)) return [ false, undefined ];
+        let clamped = Math.min(Math.max(number, entry.minValue ?? -Infinity), entry.maxValue ?? Infinity);
+        return [ typeof value === 'number' && clamped === value, clamped ];
+    }
+    case 'select': {
+        let values = (entry.options ?? []).map(option => option.value);
+        if (values.includes(value)) return [ true, value ];
+        return [ false, values.find(v => String(v) === String(value)) ];
+    }
+    case 'text':
+        return typeof value === 'string' ? [ true, value ] : [ false, value === null || typeof value === 'object' ? undefined : String(value) ];
+    default:
+        return [ true, value ];
+    }
+}
+
+/**
+ * Validate config.json against mod.json config schema, filling missing values from defaultValue. (D2RMM uses defaultValue for missing keys)
+ * @param {{ name: string, mod: Object, config: Object }} modData  @param {'keep'|'coerce'|'drop'} policy  invalid values:
+ *     keep as is; coerce to valid value (or defaultValue); drop (use defaultValue) and also drop keys not declared by mod.json
+ * @returns {[ Object, string[] ]}  config in mod.json key order, issues
+ */
+function validateModConfig(modData, policy) {
+    let newConfig = {}, issues = [], entries = getModConfigEntries(modData.mod.config);
+    for (let entry of entries) {
+        let value = modData.config[entry.id];
+        if (value === undefined) { newConfig[entry.id] = entry.defaultValue; continue; }
+        let [ valid, coerced ] = checkModConfigValue(entry, value);
+        if (valid) { newConfig[entry.id] = value; continue; }
+        let fixedValue = policy === 'keep' ? value : (policy === 'coerce' ? coerced ?? entry.defaultValue : entry.defaultValue);
+        issues.push(`invalid ${entry.type} ${entry.id}: ${JSON.stringify(value)}` + (policy === 'keep' ? '' : ` => ${JSON.stringify(fixedValue)}`));
+        newConfig[entry.id] = fixedValue;
+    }
+    let declared = new Set(entries.map(({ id }) => id));
+    for (let [ id, value ] of Object.entries(modData.config)) {
+        if (declared.has(id)) continue;
+        issues.push(`stale key ${id}: not declared by mod.json` + (policy === 'drop' ? ' (dropped)' : ''));
+        if (policy !== 'drop') newConfig[id] = value;
+    }
+    return [ newConfig, issues ];
+}
+
+module.exports = { compareVersions, resolveModOrder, getModConfigEntries, validateModConfig };
@@ -0,0 +1,96 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+
+const { compareVersions, resolveModOrder, validateModConfig } = require('./modmeta');
+
+/** @returns {import('./modmeta').ModMeta} */
+function makeMod(name, mod = {}) { return { name, mod }; }
+const names = (mods) => mods.map(({ name }) => name);
+const isInstalled = (name) => name === 'ModOff';
+
+assert.ok(compareVersions('1.6', '1.6.0') === 0 && compareVersions('1.10', '1.9') > 0 && compareVersions(undefined, '0.1') < 0);
+
+// Requirements: D2RMM version, dependency disabled / not installed / too old.
+let [ mods, errors ] = resolveModOrder([
+    makeMod('ModA', { version: '1.2' }),
+    makeMod('ModB', { minD2RMMVersion: '1.7' }),
+    makeMod('ModC', { minD2RMMVersion: 1.5, dependencies: [ 'ModA', 'ModOff', 'ModGone' ] }),
+    makeMod('ModD', { dependencies: { ModA: '1.10' } }),
+], { version: '1.6', autoOrder: false, isInstalled });
+assert.deepEqual(names(mods), [ 'ModA', 'ModB', 'ModC', 'ModD' ]);
+assert.deepEqual(errors, [
+    'Mod: ModB requires D2RMM v1.7, D2RMM mode emulates v1.6',
+    'Mod: ModC depends on ModOff, which is disabled',
+    'Mod: ModC depends on ModGone, which is not installed',
+    'Mod: ModD depends on ModA v1.10, but found v1.2',
+]);
+
+// Misordered mods: errors without auto order; loadAfter/loadBefore of mods not loaded are ignored.
+let misordered = [
+    makeMod('ModA', { dependencies: [ 'ModB' ] }),
+    makeMod('ModB', { loadAfter: [ 'ModOff' ] }),
+    makeMod('ModC', { loadBefore: [ 'ModA' ] }),
+    makeMod('ModD'),
+    makeMod('ModE', { loadBefore: [ 'ModD' ] }),
+];
+[ mods, errors ] = resolveModOrder(misordered, { version: '1.6', autoOrder: false, isInstalled });
+assert.deepEqual(names(mods), [ 'ModA', 'ModB', 'ModC', 'ModD', 'ModE' ]);
+assert.deepEqual(errors, [
+    'Mod order: ModA must load after ModB (dependency); re-order mods or set task option auto_order_mods',
+    'Mod order: ModA must load after ModC (loadBefore); re-order mods or set task option auto_order_mods',
+    'Mod order: ModD must load after ModE (loadBefore); re-order mods or set task option auto_order_mods',
+]);
+// Auto order: stable, moves only what must move.
+[ mods, errors ] = resolveModOrder(misordered, { version: '1.6', autoOrder: true, isInstalled });
+assert.deepEqual(names(mods), [ 'ModB', 'ModC', 'ModA', 'ModE', 'ModD' ]);
+assert.deepEqual(errors, []);
+
+// Cycle cannot be auto ordered.
+[ mods, errors ] = resolveModOrder([
+    makeMod('ModA', { loadAfter: [ 'ModB' ] }),
+    makeMod('ModB', { dependencies: [ 'ModA' ] }),
+    makeMod('ModC'),
+], { version: '1.6', autoOrder: true, isInstalled });
+assert.deepEqual(names(mods), [ 'ModA', 'ModB', 'ModC' ]);
+assert.deepEqual(errors, [ 'Mod order: circular dependencies/loadAfter/loadBefore among: ModB, ModA' ]);
+
+// Config validation: defaults for missing keys, sections flattened, invalid values per policy, stale keys.
+let configMod = { config: [
+    { id: 'enabled', type: 'checkbox', defaultValue: true },
+    { type: 'section', name: 'Tuning', children: [
+        { id: 'lvl', type: 'number', minValue: 1, maxValue: 10, defaultValue: 5 },
+        { id: 'mode', type: 'select', options: [ { label: 'One', value: 1 }, { label: 'Two', value: 2 } ], defaultValue: 1 },
+    ] },
+    { id: 'label', type: 'text', defaultValue: '' },
+] };
+let config = { stale: 1, label: 42, mode: '2', lvl: 99, enabled: 'yes' };
+let validate = (policy, modConfig = config) => validateModConfig({ name: 'ModA', mod: configMod, config: modConfig }, policy);
+assert.deepEqual(validate('coerce', { lvl: 3 }), [ { enabled: true, lvl: 3, mode: 1, label: '' }, [] ]);
+assert.deepEqual(validate('keep'), [ { enabled: 'yes', lvl: 99, mode: '2', label: 42, stale: 1 }, [
+    'invalid checkbox enabled: "yes"', 'invalid number lvl: 99', 'invalid select mode: "2"', 'invalid text label: 42',
+    'stale key stale: not declared by mod.json',
+] ]);
+let [ coerced, coerceIssues ] = validate('coerce');
+assert.deepEqual(Object.entries(coerced), [ [ 'enabled', true ], [ 'lvl', 10 ], [ 'mode', 2 ], [ 'label', '42' ], [ 'stale', 1 ] ]);
+assert.deepEqual(coerceIssues, [
+    'invalid checkbox enabled: "yes" => true', 'invalid number lvl: 99 => 10', 'invalid select mode: "2" => 2', 'invalid text label: 42 => "42"',
+    'stale key stale: not declared by mod.json',
+]);
+assert.deepEqual(validate('coerce', { enabled: 'false', lvl: '0' })[0], { enabled: false, lvl: 1, mode: 1, label: '' });
+assert.deepEqual(validate('drop'), [ { enabled: true, lvl: 5, mode: 1, label: '' }, [
+    'invalid checkbox enabled: "yes" => true', 'invalid number lvl: 99 => 5', 'invalid select mode: "2" => 1', 'invalid text label: 42 => ""',
+    'stale key stale: not declared by mod.json (dropped)',
+] ]);
+
+console.log('modmeta_test: OK');
@@ -0,0 +1,190 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const { normalizePath, readdirSafeSync, readFileSyncNoThrow, tryParseJSON, writeFileSync } = require('./utils');
+
+/**
+ * Distributable zip of a built game mod dir:
+ *   <MOD>/<MOD>.mpq/...  game mod dir (modinfo.json, d2rmp-build.json, provenance.json if any, data/), to be extracted into <D2R>/mods/
+ *   d2rmp-package.json   package manifest: mod name, profile and mods (version, effective config) of the build
+ *   SHA256SUMS           checksums of all other entries (sha256sum format)
+ * @typedef {{ name: string, version: ?string, config: ?Object }} PackageModInfo
+ * @typedef {{ version: number, profile: ?string, mods: PackageModInfo[] }} BuildRecord
+ * @typedef {{ version: number, name: string, created: string, generator: string, profile: ?string, mods: PackageModInfo[], files: number }} PackageManifest
+ * @typedef {{ name: string, content: Buffer, mtime?: Date }} ZipEntry
+ */
+
+const kPackageManifestName = 'd2rmp-package.json';
+const kPackageChecksumsName = 'SHA256SUMS';
+const kPackageManifestVersion = 1;
+const kBuildRecordPath = '../d2rmp-build.json';  // Relative to output data dir: next to modinfo.json, which D2R reads and is left alone
+const kBuildRecordVersion = 1;
+
+const kCRC32Table = new Int32Array(256).map((_, n) => {
+    for (let k = 0; k < 8; k++) n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1;
+    return n;
+});
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) crc = kCRC32Table[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+function toDosDateTime(date) {
+    return [ (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate() ];
+}
+
+/** Zip (no zip64): entries are deflated, or stored if that is not smaller.  @param {ZipEntry[]} entries  @returns {Buffer} */
+function writeZip(entries) {
+    let localChunks = [], centralChunks = [], offset = 0;
+    for (let { name, content, mtime } of entries) {
+        let nameBuffer = Buffer.from(name, 'utf-8'), deflated = zlib.deflateRawSync(content);
+        let [ method, data ] = deflated.length < content.length ? [ 8, deflated ] : [ 0, content ];
+        let [ dosTime, dosDate ] = toDosDateTime(mtime ?? new Date());
+        let fields = Buffer.alloc(26);  // Common fields of local header and central directory header, from "version needed"
+        fields.writeUInt16LE(20, 0);
+        fields.writeUInt16LE(0x0800, 2);  // UTF-8 name
+        fields.writeUInt16LE(method, 4);
+        fields.writeUInt16LE(dosTime, 6);
+        fields.writeUInt16LE(dosDate, 8);
+        fields.writeUInt32LE(crc32(content), 10);
+        fields.writeUInt32LE(data.length, 14);
+        fields.writeUInt32LE(content.length, 18);
+        fields.writeUInt16LE(nameBuffer.length, 22);
+        let localHeader = Buffer.concat([ Buffer.from([ 0x50, 0x4B, 0x03, 0x04 ]), fields, nameBuffer ]);
+        let centralTail = Buffer.alloc(14);  // Comment length, disk, attributes, local header offset
+        centralTail.writeUInt32LE(offset, 10);
+        centralChunks.push(Buffer.from([ 0x50, 0x4B, 0x01, 0x02, 20, 0 ]), fields, centralTail, nameBuffer);
+        localChunks.push(localHeader, data);
+        offset += localHeader.length + data.length;
+    }
+    let central = Buffer.concat(centralChunks), end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(central.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([ ...localChunks, central, end ]);
+}
+
+/** Entries of zip (stored or deflated), CRC checked.  @param {Buffer} buffer  @returns {ZipEntry[]} */
+function readZip(buffer) {
+    let endPos = buffer.length - 22;
+    while (endPos >= 0 && buffer.readUInt32LE(endPos) !== 0x06054B50) endPos--;
+    if (endPos < 0) throw new Error(`Not a zip file`);
+    let entries = [], pos = buffer.readUInt32LE(endPos + 16);
+    for (let i = 0, count = buffer.readUInt16LE(endPos + 10); i < count; i++) {
+        if (buffer.readUInt32LE(pos) !== 0x02014B50) throw new Error(`Invalid zip central directory`);
+        let method = buffer.readUInt16LE(pos + 10), crc = buffer.readUInt32LE(pos + 16), compressedSize = buffer.readUInt32LE(pos + 20);
+        let nameLength = buffer.readUInt16LE(pos + 28), extraLength = buffer.readUInt16LE(pos + 30), commentLength = buffer.readUInt16LE(pos + 32);
+        let localPos = buffer.readUInt32LE(pos + 42), name = buffer.toString('utf-8', pos + 46, pos + 46 + nameLength);
+        pos += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/')) continue;  // Dir
+        let dataPos = localPos + 30 + buffer.readUInt16LE(localPos + 26) + buffer.readUInt16LE(localPos + 28);
+        let data = buffer.subarray(dataPos, dataPos + compressedSize), content;
+        if (method === 0) content = data;
+        else if (method === 8) content = zlib.inflateRawSync(data);
+        else throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+        if (crc32(content) !== crc) throw new Error(`Zip CRC mismatch: ${name}`);
+        entries.push({ name, content });
+    }
+    return entries;
+}
+
+/**
+ * Record profile and mods (version, effective config after overrides and profile) of the build in game mod dir, for packaging.
+ * @param {import('./resolver').FileResolver} resolver  @param {?string} profile  @param {PackageModInfo[]} mods
+ */
+function writeBuildRecord(resolver, profile, mods) {
+    let /** @type {BuildRecord} */ record = { version: kBuildRecordVersion, profile, mods };
+    resolver.writeOutputFile(kBuildRecordPath, JSON.stringify(record, null, 1));
+}
+
+/** @param {string} modDir  <MOD>.mpq dir  @returns {[ ?BuildRecord, ?Error ]} */
+function readBuildRecord(modDir) {
+    let recordPath = path.join(modDir, path.basename(kBuildRecordPath));
+    let [ content ] = readFileSyncNoThrow(recordPath, { logError: false });
+    if (!content) return [ null, new Error(`No build record: ${recordPath}`) ];
+    let [ record ] = tryParseJSON(content, 'json');
+    if (record?.version !== kBuildRecordVersion || !Array.isArray(record.mods)) return [ null, new Error(`Invalid build record: ${recordPath}`) ];
+    return [ record, null ];
+}
+
+function sha256(content) { return crypto.createHash('sha256').update(content).digest('hex'); }
+
+/**
+ * Zip game mod dir with package manifest and checksums.
+ * @param {string} modDir  <MOD>.mpq dir  @param {string} packagePath  @param {PackageModInfo[]} mods  @param {?string} [profile]
+ * @returns {PackageManifest}
+ */
+function createModPackage(modDir, packagePath, mods, profile = null) {
+    let modName = path.basename(modDir).replace(/\.mpq$/i, ''), prefix = `${modName}/${path.basename(modDir)}/`;
+    let /** @type {ZipEntry[]} */ entries = [];
+    for (let relPath of readdirSafeSync(modDir, { recursive: true }).sort()) {
+        let stat = fs.lstatSync(path.join(modDir, relPath));
+        if (stat.isFile()) entries.push({ name: prefix + normalizePath(relPath), content: fs.readFileSync(path.join(modDir, relPath)), mtime: stat.mtime });
+    }
+    let /** @type {PackageManifest} */ manifest = {
+        version: kPackageManifestVersion, name: modName, created: new Date().toISOString(), generator: `d2rmp ${require('./package.json').version}`,
+        profile, mods, files: entries.length,
+    };
+    entries.push({ name: kPackageManifestName, content: Buffer.from(JSON.stringify(manifest, null, 1)) });
+    let checksums = entries.map(({ name, content }) => `${sha256(content)}  ${name}\n`).join('');
+    entries.push({ name: kPackageChecksumsName, content: Buffer.from(checksums) });
+    let zip = writeZip(entries);
+    if (dryrun) console.warn(`DRY-RUN: write package: ${packagePath} (${zip.length} bytes)`);
+    else writeFileSync(packagePath, zip, { binary: true });
+    console.info(`Package: ${modName}: ${entries.length - 2} files, ${mods.length} mods => ${packagePath}`);
+    return manifest;
+}
+
+/**
+ * Read package and verify checksums.
+ * @returns {[ ?{ manifest: PackageManifest, modDirName: string, files: Map<string, Buffer> }, ?Error ]}  files: rel-path in game mod dir : content
+ */
+function readModPackage(packagePath) {
+    try {
+        let entries = new Map(readZip(fs.readFileSync(packagePath)).map(({ name, content }) => [ name, content ]));
+        let checksums = entries.get(kPackageChecksumsName), manifestContent = entries.get(kPackageManifestName);
+        if (!checksums || !manifestContent) return [ null, new Error(`Not a d2rmp package (missing ${kPackageChecksumsName} or ${kPackageManifestName}): ${packagePath}`) ];
+        let expected = new Map(checksums.toString('utf-8').split('\n').map(line => /^([0-9a-f]{64})  (.+)$/.exec(line)).filter(m => m).map(([ , hash, name ]) => [ name, hash ]));
+        for (let [ name, content ] of entries) {
+            if (name === kPackageChecksumsName) continue;
+            if (!expected.has(name)) return [ null, new Error(`Package entry not in ${kPackageChecksumsName}: ${name}`) ];
+            if (expected.get(name) !== sha256(content)) return [ null, new Error(`Package checksum mismatch: ${name}`) ];
+            expected.delete(name);
+        }
+        if (expected.size > 0) return [ null, new Error(`Package entries missing: ${[ ...expected.keys() ].join(', ')}`) ];
+        let /** @type {PackageManifest} */ manifest = JSON.parse(manifestContent.toString('utf-8'));
+        if (manifest.version !== kPackageManifestVersion) return [ null, new Error(`Unsupported package version: ${manifest.version}`) ];
+        let modDirName = `${manifest.name}.mpq`, prefix = `${manifest.name}/${modDirName}/`, files = new Map();
+        for (let [ name, content ] of entries) {
+            if (name === kPackageChecksumsName || name === kPackageManifestName) continue;
+            let relPath = name.slice(prefix.length);
+            if (!name.startsWith(prefix) || relPath.split('/').some(s => s === '..' || s === '') || path.isAbsolute(relPath))
+                return [ null, new Error(`Package entry outside of mod dir: ${name}`) ];
+            files.set(relPath, content);
+        }
+        if (!files.has('modinfo.json')) return [ null, new Error(`Package has no modinfo.json: ${packagePath}`) ];
+        return [ { manifest, modDirName, files }, null ];
+    } catch (e) {
+        return [ null, e ];
+    }
+}
+
+module.exports = { crc32, writeZip, readZip, writeBuildRecord, readBuildRecord, createModPackage, readModPackage };
@@ -0,0 +1,49 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+globalThis.dryrun = false;
+const { crc32, writeZip, readZip, createModPackage, readModPackage } = require('./packaging');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-packaging-'));
+
+// Zip round trip: deflated and stored entries.
+assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+let zipEntries = [ { name: 'a/big.txt', content: Buffer.from('Cap\tcap\t1\n'.repeat(100)) }, { name: 'tiny', content: Buffer.from('x') } ];
+assert.deepEqual(readZip(writeZip(zipEntries)).map(({ name, content }) => [ name, content.toString() ]), zipEntries.map(({ name, content }) => [ name, content.toString() ]));
+
+// Package of game mod dir: manifest, checksums, and rel-paths in game mod dir.
+let modDir = path.join(tmpDir, 'mods', 'Test', 'Test.mpq');
+fs.mkdirSync(path.join(modDir, 'data', 'global', 'excel'), { recursive: true });
+fs.writeFileSync(path.join(modDir, 'modinfo.json'), '{"name":"Test","savepath":"Test/"}');
+fs.writeFileSync(path.join(modDir, 'data', 'global', 'excel', 'armor.txt'), 'name\tcode\nCap\tcap\n');
+let packagePath = path.join(tmpDir, 'Test.zip');
+createModPackage(modDir, packagePath, [ { name: 'ModA', version: '1.0', config: { lvl: 3 } } ], 'testing');
+let [ pkg, err ] = readModPackage(packagePath);
+assert.equal(err, null);
+assert.equal(pkg.modDirName, 'Test.mpq');
+assert.equal(pkg.manifest.profile, 'testing');
+assert.deepEqual(pkg.manifest.mods, [ { name: 'ModA', version: '1.0', config: { lvl: 3 } } ]);
+assert.deepEqual([ ...pkg.files.keys() ].sort(), [ 'data/global/excel/armor.txt', 'modinfo.json' ]);
+assert.equal(pkg.files.get('data/global/excel/armor.txt').toString(), 'name\tcode\nCap\tcap\n');
+
+// Tampered entry fails checksum.
+let tampered = readZip(fs.readFileSync(packagePath)).map(entry => entry.name.endsWith('armor.txt') ? { name: entry.name, content: Buffer.from('name\tcode\n') } : entry);
+fs.writeFileSync(packagePath, writeZip(tampered));
+assert.match(readModPackage(packagePath)[1]?.message ?? '', /checksum mismatch: Test\/Test\.mpq\/data\/global\/excel\/armor\.txt/);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+console.log('packaging_test: OK');
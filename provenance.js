@@ -0,0 +1,124 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { normalizePath, readFileSyncNoThrow, tryParseJSON } = require('./utils');
+
+const kProvenanceManifestPath = '../provenance.json';  // Relative to output data dir: next to modinfo.json
+const kProvenanceManifestVersion = 1;
+
+/**
+ * @typedef {{ writer: string, writers: string[] }} FileProvenance
+ * @typedef {{ writer: string, value: ?string, writes: import('./tracker').CellWrite[] }} CellProvenance
+ * @typedef {{ version: number, mods: string[], files: Object.<string, FileProvenance>,
+ *     cells?: Object.<string, Object.<string, Object.<string, CellProvenance>>> }} ProvenanceManifest  cells: rel-path : row-id : column
+ */
+
+/** @param {import('./resolver').FileResolver} resolver  @param {string[]} modNames  installed mods in order  @returns {ProvenanceManifest} */
+function buildProvenanceManifest(resolver, modNames, { cells } = {}) {
+    let /** @type {ProvenanceManifest} */ manifest = { version: kProvenanceManifestVersion, mods: modNames, files: {} };
+    for (let [ relPath, writers ] of Object.entries(resolver.outputWriters).sort(([ a ], [ b ]) => a < b ? -1 : 1)) {
+        manifest.files[relPath] = { writer: writers[writers.length - 1], writers };
+    }
+    if (cells && resolver.tracker) {
+        manifest.cells = {};
+        for (let [ relPath, fileCellWrites ] of resolver.tracker.getCellWrites()) {
+            let fileCells = manifest.cells[relPath] = {};
+            for (let [ rowId, rowCellWrites ] of fileCellWrites) {
+                let rowCells = fileCells[rowId] = {};
+                for (let [ col, writes ] of rowCellWrites) {
+                    let lastWrite = writes[writes.length - 1];
+                    rowCells[col] = { writer: lastWrite.mod, value: lastWrite.newValue, writes };
+                }
+            }
+        }
+    }
+    return manifest;
+}
+
+/** @param {import('./resolver').FileResolver} resolver */
+function writeProvenanceManifest(resolver, modNames, options) {
+    let manifest = buildProvenanceManifest(resolver, modNames, options);
+    console.info(`Write provenance manifest: ${Object.keys(manifest.files).length} files${manifest.cells ? ' with cells' : ''}`);
+    resolver.writeOutputFile(kProvenanceManifestPath, JSON.stringify(manifest, null, 1));
+    return manifest;
+}
+
+/** Accepts full rel-path or unique path suffix (e.g. cubemain.txt).  @param {ProvenanceManifest} manifest  @returns {?string} */
+function findManifestPath(manifest, mixedPath) {
+    let queryPath = normalizePath(mixedPath).toLowerCase();
+    let relPaths = Object.keys(manifest.files).concat(Object.keys(manifest.cells ?? {}));
+    let exact = relPaths.find(relPath => relPath.toLowerCase() === queryPath);
+    if (exact) return exact;
+    let candidates = [ ...new Set(relPaths.filter(relPath => relPath.toLowerCase().endsWith('/' + queryPath))) ];
+    if (candidates.length > 1) throw new Error(`Ambiguous path: ${mixedPath}: ${candidates.join(', ')}`);
+    return candidates[0] ?? null;
+}
+
+/**
+ * Who wrote a file, a row or a cell.
+ * @param {ProvenanceManifest} manifest  @param {string} mixedPath  @param {string} [rowId]  @param {string} [col]
+ * @returns {?{ relPath: string, file?: FileProvenance, row?: Object.<string, CellProvenance>, cell?: CellProvenance }}
+ */
+function queryProvenance(manifest, mixedPath, rowId, col) {
+    let relPath = findManifestPath(manifest, mixedPath);
+    if (!relPath) return null;
+    if (rowId === undefined) return { relPath, file: manifest.files[relPath] };
+    if (!manifest.cells) throw new Error(`Provenance manifest has no cell records (set provenance_manifest: "cell")`);
+    let row = manifest.cells[relPath]?.[rowId];
+    if (!row) return { relPath };
+    return col === undefined ? { relPath, row } : { relPath, cell: row[col] };
+}
+
+function loadProvenanceManifest(manifestOrModPath) {
+    let manifestPath = fs.statSync(manifestOrModPath).isDirectory() ? path.join(manifestOrModPath, path.basename(kProvenanceManifestPath)) : manifestOrModPath;
+    let [ content, err ] = readFileSyncNoThrow(manifestPath);
+    if (err || content === null) throw err ?? new Error(`Provenance manifest does not exist: ${manifestPath}`);
+    let [ manifest, , parseErr ] = tryParseJSON(content, 'json');
+    if (parseErr) throw parseErr;
+    if (manifest.version !== kProvenanceManifestVersion) throw new Error(`Unsupported provenance manifest version: ${manifest.version}`);
+    return manifest;
+}
+
+module.exports = { buildProvenanceManifest, writeProvenanceManifest, queryProvenance, loadProvenanceManifest };
+if (require.main === module) main();
+
+function printUsage() { return console.info(`
+Usage: node ${path.basename(__filename)} <provenance.json|game-mod-mpq-dir> [<file> [<row> [<column>]]]
+  <file>: output rel-path or unique suffix (e.g. cubemain.txt)
+  <row>:  key column value (e.g. armor/weapons/misc code), or first column value (#N suffix for N-th duplicate)
+`.replace(/^\n/, '')); }
+
+function main() {
+    let [ manifestOrModPath, mixedPath, rowId, col ] = process.argv.slice(2);
+    if (!manifestOrModPath) return printUsage();
+    let manifest = loadProvenanceManifest(manifestOrModPath);
+    if (mixedPath === undefined) {
+        console.info(`Mods: ${manifest.mods.join(', ')}`);
+        for (let [ relPath, { writers } ] of Object.entries(manifest.files)) console.info(`${relPath}: ${writers.join(' => ')}`);
+        return;
+    }
+    let result = queryProvenance(manifest, mixedPath, rowId, col);
+    if (!result) return console.info(`No mod wrote: ${mixedPath}`);
+    if (result.file) {
+        console.info(`${result.relPath}: written by ${result.file.writer} (${result.file.writers.join(' => ')})`);
+    } else if (result.row) {
+        for (let [ col, { writer, value } ] of Object.entries(result.row)) console.info(`${result.relPath} row {${rowId}} [${col}]: ${writer} = {${value ?? ''}}`);
+    } else if (result.cell) {
+        let history = result.cell.writes.map(({ mod, newValue }) => `${mod} = {${newValue ?? ''}}`).join(' => ');
+        console.info(`${result.relPath} row {${rowId}} [${col}]: set by ${result.cell.writer} (${history})`);
+    } else {
+        console.info(`No mod wrote: ${result.relPath} row {${rowId}}${col === undefined ? '' : ` [${col}]`}`);
+    }
+}
@@ -12,7 +12,8 @@
 const fs = require('node:fs');
 const path = require('node:path');
 
-const { nativePath, normalizePath, scriptPath, readFileSyncNoThrow, writeFileSync, mkdirSync } = require('./utils');
+const { nativePath, normalizePath, scriptPath, readFileSyncNoThrow, readTextFileSyncNoThrow, decodeText, kDefaultTextFormat, writeFileSync, mkdirSync, globToRegExp } = require('./utils');
+const { CascStorage } = require('./casc');
 
 const kNextStringIDPath = 'local/lng/next_string_id.txt';
 function parseNextStringID(content) {
@@ -22,24 +23,132 @@ function parseNextStringID(content) {
 }
 function updateNextStringID(content, newID) { return content.replace(/[0-9]+/, '' + newID); }
 
-/** @typedef {{ relPath: string, realPath: string, content, type: ?string }} FileResolverInputInfo */
+const kCascRealPathPrefix = 'casc:';
+/** Opened CASC storages, by game path. */
+const gCascStorages = new Map();
+
+/**
+ * Extra input root between base and user input. include/exclude: globs of rel-path (include: default all).
+ * @typedef {{ name: string, path: string, include?: string[], exclude?: string[] }} InputLayerConfig
+ * @typedef {{ name: string, path: ?string, include: ?RegExp[], exclude: RegExp[], casc?: boolean }} InputLayer  casc: CASC storage of game (path is null)
+ */
+/** @typedef {{ relPath: string, realPath: string, content, type: ?string, format?: ?import('./utils').TextFormat }} FileResolverInputInfo  format: of read text file */
 /** @typedef { FileResolverInputInfo & { dirty: boolean, evicted : boolean } } FileResolverOutputInfo */
+/** @typedef {{ outputs: [ string, FileResolverOutputInfo ][], outputWriters: [ string, string[] ][], nextStringID: number }} FileResolverSnapshot */
 class FileResolver {
-    constructor({ outputPath, baseInputPath, userInputPath }) {
+    /**
+     * @param {{ outputPath: ?string, baseInputPath: ?string, userInputPath: ?string, inputLayers?: InputLayerConfig[], cascPath?: ?string }}
+     *     cascPath: D2R game dir, whose CASC storage is the lowest priority input
+     */
+    constructor({ outputPath, baseInputPath, userInputPath, inputLayers, cascPath }) {
         this.outputPath = outputPath || null;
-        this.baseInputPath = baseInputPath;
+        this.baseInputPath = baseInputPath || null;
         this.userInputPath = userInputPath || null;
+        this.cascPath = cascPath || null;
+        /** @type {InputLayerConfig[]} */ this.inputLayerConfigs = inputLayers ?? [];  // Lowest priority first
+        /** @type {InputLayer[]} */ this.inputLayers = [];  // Highest priority first
         /** @type {string[]} */ this.inputPaths = [];
         /** @type {Object.<string, FileResolverOutputInfo>} */
         this.implicitOutputMap = {};  // rel-path : { realPath, dirty, content }
         /** @type {Object.<string, FileResolverInputInfo>} */
         this.implicitInputMap = {};  // rel-path : { realPath, content }
         this.nextStringID = -1;
+        /** @type {Object.<string, string[]>} */
+        this.outputWriters = {};  // rel-path : mods in write order
+        /** @type {?import('./tracker').ModWriteTracker} */ this.tracker = null;
+        /** @type {?import('./incremental').ModRunRecorder} */ this.recorder = null;
         this.init();
     }
 
     init() {
-        this.inputPaths = Array.from(new Set([ this.userInputPath, this.baseInputPath ]).values()).filter(s => s);
+        let layers = [ { name: 'user', path: this.userInputPath }, ...this.inputLayerConfigs.slice().reverse(), { name: 'base', path: this.baseInputPath } ];
+        this.inputLayers = layers.filter(({ path }, i) => path && layers.findIndex(layer => layer.path === path) === i).map(layer => ({
+            name: layer.name, path: layer.path, include: layer.include?.length ? layer.include.map(globToRegExp) : null, exclude: (layer.exclude ?? []).map(globToRegExp),
+        }));
+        this.inputPaths = this.inputLayers.map(({ path }) => path);
+        if (this.cascPath) this.inputLayers.push({ name: 'casc', path: null, include: null, exclude: [], casc: true });
+    }
+
+    /** @returns {import('./casc').CascStorage} */
+    getCascStorage() {
+        if (!gCascStorages.has(this.cascPath)) gCascStorages.set(this.cascPath, new CascStorage(this.cascPath).open());
+        return gCascStorages.get(this.cascPath);
+    }
+
+    /**
+     * Path of rel-path in input layer. Files in CASC storage have pseudo real-path "casc:<EKeys>:data/<rel-path>".
+     * @param {InputLayer} layer  @returns {{ realPath: string, found: boolean }}
+     */
+    resolveInLayer(layer, inputRelPath) {
+        if (!layer.casc) {
+            let realPath = this.getNativePath(layer.path, inputRelPath);
+            return { realPath, found: fs.existsSync(realPath) };
+        }
+        let cascRelPath = `data/${inputRelPath}`, fileKey = this.getCascStorage().getFileKey(cascRelPath);
+        return { realPath: `${kCascRealPathPrefix}${fileKey ?? ''}:${cascRelPath}`, found: !!fileKey };
+    }
+
+    /** Read input file by (pseudo) real-path. Text is decoded as decodeText.  @returns {[ ?string|Buffer, ?Error, ?import('./utils').TextFormat ]} */
+    readInputFileSync(realPath, options) {
+        if (!realPath.startsWith(kCascRealPathPrefix)) return options?.binary ? readFileSyncNoThrow(realPath, options) : readTextFileSyncNoThrow(realPath, options);
+        try {
+            let content = this.getCascStorage().readFile(realPath.slice(realPath.indexOf(':', kCascRealPathPrefix.length) + 1));
+            if (!content) return [ null, new Error(`File not found in CASC storage: ${realPath}`) ];
+            if (options?.binary) return [ content, null ];
+            let [ text, format ] = decodeText(content);
+            return [ text, null, format ];
+        } catch (e) {
+            console.error(`FileResolver: failed to read CASC file: ${realPath}\n${e.message}`);
+            return [ null, e ];
+        }
+    }
+
+    /** @param {InputLayer} layer */
+    isInLayer(layer, inputRelPath) {
+        return (!layer.include || layer.include.some(re => re.test(inputRelPath))) && !layer.exclude.some(re => re.test(inputRelPath));
+    }
+
+    /**
+     * Input layers of rel-path, highest priority first: the first found (and not filtered by include/exclude) one is used, shadowing the others.
+     * @returns {{ name: string, realPath: string, filtered: boolean, found: boolean }[]}
+     */
+    describeInputLayers(mixedAnyRelPath) {
+        let inputRelPath = normalizePath(mixedAnyRelPath);
+        return this.inputLayers.map(layer => {
+            let { realPath, found } = this.resolveInLayer(layer, inputRelPath);
+            return { name: layer.name, realPath, filtered: !this.isInLayer(layer, inputRelPath), found };
+        });
+    }
+
+    /**
+     * Entries of a dir, merged over outputs (including unflushed ones) and input layers, first one of a name (case-insensitive) wins.
+     * Input files filtered by include/exclude of their layer are not listed.  @returns {{ name: string, isDirectory: boolean }[]}  sorted by name
+     */
+    listDirectory(mixedAnyRelPath) {
+        let dirRelPath = normalizePath(mixedAnyRelPath).replace(/^\.?\/+|\/+$/g, ''), prefix = dirRelPath ? `${dirRelPath}/` : '';
+        let entries = new Map();
+        const addEntry = (name, isDirectory) => { if (!entries.has(name.toLowerCase())) entries.set(name.toLowerCase(), { name, isDirectory }); };
+        const addFileRelPath = (relPath) => {
+            if (!relPath.toLowerCase().startsWith(prefix.toLowerCase())) return;
+            let [ name, ...rest ] = relPath.slice(prefix.length).split('/');
+            addEntry(name, rest.length > 0);
+        };
+        const addDir = (rootPath, layer) => {
+            let dirPath = this.getNativePath(rootPath, dirRelPath);
+            if (!fs.statSync(dirPath, { throwIfNoEntry: false })?.isDirectory()) return;
+            for (let dirent of fs.readdirSync(dirPath, { withFileTypes: true })) {
+                if (dirent.isDirectory() || !layer || this.isInLayer(layer, prefix + dirent.name)) addEntry(dirent.name, dirent.isDirectory());
+            }
+        };
+        for (let outputInfo of Object.values(this.implicitOutputMap)) {
+            if (outputInfo.content !== null) addFileRelPath(outputInfo.relPath);
+        }
+        if (this.outputPath) addDir(this.outputPath, null);
+        for (let layer of this.inputLayers) {
+            if (!layer.casc) { addDir(layer.path, layer); continue; }
+            for (let cascPath of this.getCascStorage().listFiles([ `data/${prefix}**` ])) addFileRelPath(cascPath.slice('data/'.length));
+        }
+        return [ ...entries.values() ].sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
     }
 
     getPath(...mixedPaths) { return normalizePath(path.join(...mixedPaths)); }
@@ -49,7 +158,7 @@ class FileResolver {
         let outputRelPath = normalizePath(mixeModResPath);
         let outputInfo = this.implicitOutputMap[outputRelPath];
         if (!outputInfo) {
-            this.implicitOutputMap[outputRelPath] = outputInfo = { relPath: outputRelPath, realPath: null, dirty: false, evicted: false, content: null };
+            this.implicitOutputMap[outputRelPath] = outputInfo = { relPath: outputRelPath, realPath: null, dirty: false, evicted: false, content: null, format: null };
             outputInfo.realPath = this.getNativePath(this.outputPath, outputRelPath);
             outputInfo.evicted = fs.existsSync(outputInfo.realPath);
             console.debug(`FileResolver: init output mapping: ${outputRelPath} => ${outputInfo.realPath} (evicted=${outputInfo.evicted})`);
@@ -62,9 +171,9 @@ class FileResolver {
         let inputInfo = this.implicitInputMap[inputRelPath];
         if (!inputInfo) {
             this.implicitInputMap[inputRelPath] = inputInfo = { relPath: inputRelPath, realPath : null, content: null };
-            let resPathCands = this.inputPaths.map(inputPath => this.getNativePath(inputPath, inputRelPath));
-            for (let resPathCand of resPathCands) {
-                if (fs.existsSync(resPathCand)) { inputInfo.realPath = resPathCand; break; }
+            for (let layer of this.inputLayers.filter(layer => this.isInLayer(layer, inputRelPath))) {
+                let { realPath, found } = this.resolveInLayer(layer, inputRelPath);
+                if (found) { inputInfo.realPath = realPath; break; }
             }
             console.debug(`FileResolver: init input mapping: ${inputRelPath} => ${inputInfo.realPath}`)
         }
@@ -84,7 +193,8 @@ class FileResolver {
         if (!outputInfo.realPath.startsWith(path.resolve(this.outputPath, '..'))) throw new Error;
         console.log(`FileResolver: write back: ${outputInfo.relPath}`);
         mkdirSync(path.dirname(outputInfo.realPath));
-        writeFileSync(outputInfo.realPath, outputInfo.content, { addBOM: false });
+        let format = outputInfo.format ?? kDefaultTextFormat;
+        writeFileSync(outputInfo.realPath, outputInfo.content, { addBOM: format.bom, eol: format.eol, encoding: format.encoding });
         return [ true, null ];
     }
     flush1(mixedModResPath) { return this.flush1Ex(this.resolveImplicitOutput(mixedModResPath)); }
@@ -93,10 +203,11 @@ class FileResolver {
     readAutoInputFileSync(mixedAnyRelPath, options) {
         let outputInfo = this.resolveImplicitOutput(mixedAnyRelPath);
         if (outputInfo.evicted) {
-            let [ content, err ] = readFileSyncNoThrow(outputInfo.realPath, options);
+            let [ content, err, format ] = readTextFileSyncNoThrow(outputInfo.realPath, options);
             if (!err) {
                 console.info(`FileResolver: reload output content: ${outputInfo.relPath}`);
                 outputInfo.content = content;
+                outputInfo.format = format;
             } else {  // Failure to read-back output file is a critical error
                 console.error(`FileResolver: failed to reload output content: ${outputInfo.relPath}`);
                 throw err;
@@ -107,6 +218,7 @@ class FileResolver {
             return [ outputInfo.content, null, outputInfo ];
         }
         let inputInfo = this.resolveImplicitInput(mixedAnyRelPath);
+        this.recorder?.inputs.set(inputInfo.relPath, inputInfo.realPath);
         if (inputInfo.content) {
             console.debug(`FileResolver: readAutoInputFileSync: cached: ${inputInfo.relPath}`);
             return [ inputInfo.content, null, inputInfo ];
@@ -115,10 +227,11 @@ class FileResolver {
             console.debug(`FileResolver: readAutoInputFileSync: not found: ${inputInfo.relPath}`);
             return [ null, null, null ];
         }
-        let [ content, err ] = readFileSyncNoThrow(inputInfo.realPath, options);
+        let [ content, err, format ] = this.readInputFileSync(inputInfo.realPath, options);
         if (!err) {
             console.debug(`FileResolver: cache content: ${inputInfo.relPath}`);
             inputInfo.content = content;
+            inputInfo.format = format;
         }
         return [ content, err, inputInfo ];
     }
@@ -140,10 +253,22 @@ class FileResolver {
         }
     }
 
-    /** @returns {[ boolean, ?Error, ?FileResolverOutputInfo ]} */
+    /**
+     * Text format of output is kept from (reloaded) output or input of the same rel-path, unless overridden.
+     * @param {{ writer?: string, format?: Partial<import('./utils').TextFormat> }} options  writer: mod name for ModWriteTracker  format: override
+     * @returns {[ boolean, ?Error, ?FileResolverOutputInfo ]}
+     */
     updateOutputFile(mixedModResPath, content, options) {
         let outputInfo = this.resolveImplicitOutput(mixedModResPath);
-        if (content !== outputInfo.content) {
+        let format = Object.assign({}, outputInfo.format ?? this.implicitInputMap[outputInfo.relPath]?.format ?? kDefaultTextFormat, options?.format);
+        let formatChanged = !!outputInfo.format && Object.keys(format).some(key => format[key] !== outputInfo.format[key]);
+        outputInfo.format = format;
+        if (content !== outputInfo.content || formatChanged) {
+            if (options?.writer) {
+                let oldContent = outputInfo.content ?? this.implicitInputMap[outputInfo.relPath]?.content ?? null;
+                this.recordOutputWriter(outputInfo.relPath, options.writer);
+                this.tracker?.recordWrite(options.writer, outputInfo.relPath, oldContent, content);
+            }
             outputInfo.dirty = true;
             outputInfo.content = content;
             console.log(`FileResolver: output updated: ${outputInfo.relPath}`);
@@ -153,6 +278,28 @@ class FileResolver {
         return [ true, null, outputInfo ];
     }
 
+    /** Record mod that writes an output file, including files not written through updateOutputFile. */
+    recordOutputWriter(mixedModResPath, writer) {
+        let outputRelPath = normalizePath(mixedModResPath), writers = this.outputWriters[outputRelPath] ??= [];
+        if (writers[writers.length - 1] !== writer) writers.push(writer);
+    }
+
+    /** Snapshot of output state (not including files copied directly to output dir).  @returns {FileResolverSnapshot} */
+    snapshot() {
+        return {
+            outputs: Object.entries(this.implicitOutputMap).map(([ outputRelPath, outputInfo ]) => [ outputRelPath, Object.assign({}, outputInfo) ]),
+            outputWriters: Object.entries(this.outputWriters).map(([ outputRelPath, writers ]) => [ outputRelPath, writers.slice() ]),
+            nextStringID: this.nextStringID,
+        };
+    }
+
+    /** @param {FileResolverSnapshot} snapshot */
+    restore(snapshot) {
+        this.implicitOutputMap = Object.fromEntries(snapshot.outputs.map(([ outputRelPath, outputInfo ]) => [ outputRelPath, Object.assign({}, outputInfo) ]));
+        this.outputWriters = Object.fromEntries(snapshot.outputWriters.map(([ outputRelPath, writers ]) => [ outputRelPath, writers.slice() ]));
+        this.nextStringID = snapshot.nextStringID;
+    }
+
     /** @returns {[ boolean, ?Error ]} */
     writeOutputFile(mixedModResPath, content, options) {
         this.updateOutputFile(mixedModResPath, content, options || {});
@@ -0,0 +1,73 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+globalThis.dryrun = false;
+const { SimD2RMM } = require('./d2rmm_api');
+const { FileResolver } = require('./resolver');
+const { diffFile } = require('./diff');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-resolver-'));
+const inputDir = path.join(tmpDir, 'input'), outputDir = path.join(tmpDir, 'output', 'data');
+function writeInput(relPath, content) {
+    fs.mkdirSync(path.dirname(path.join(inputDir, relPath)), { recursive: true });
+    fs.writeFileSync(path.join(inputDir, relPath), content);
+}
+writeInput('global/excel/armor.txt', Buffer.from('\uFEFFname\tcode\r\nCap\tcap\r\n'));
+writeInput('local/lng/strings/item-names.json', Buffer.from('\uFEFF[]', 'utf16le'));
+writeInput('global/excel/misc.txt', 'name\tcode\nRing\trin\n');
+
+// Content is read BOM stripped with line endings kept (readTsv splits either); BOM, CRLF and encoding of input are written back.
+let resolver = new FileResolver({ outputPath: outputDir, baseInputPath: inputDir, userInputPath: null });
+let [ armor ] = resolver.readAutoInputFileSync('global\\excel\\armor.txt');
+assert.equal(armor, 'name\tcode\r\nCap\tcap\r\n');
+assert.deepEqual(new SimD2RMM(resolver, { name: 'ModA', config: {} }).readTsv('global/excel/armor.txt'), { headers: [ 'name', 'code' ], rows: [ { name: 'Cap', code: 'cap' } ] });
+resolver.updateOutputFile('global\\excel\\armor.txt', armor + 'Helm\thlm\n', { writer: 'ModA' });
+assert.equal(resolver.readAutoInputFileSync('local/lng/strings/item-names.json')[0], '[]');
+resolver.updateOutputFile('local/lng/strings/item-names.json', '[{"id":1}]', { writer: 'ModA' });
+// Override by mod.
+resolver.readAutoInputFileSync('global/excel/misc.txt');
+resolver.updateOutputFile('global/excel/misc.txt', 'name\tcode\n', { writer: 'ModA', format: { eol: '\r\n' } });
+resolver.flush();
+assert.deepEqual(fs.readFileSync(path.join(outputDir, 'global', 'excel', 'armor.txt')), Buffer.from('\uFEFFname\tcode\r\nCap\tcap\r\nHelm\thlm\r\n'));
+assert.deepEqual(fs.readFileSync(path.join(outputDir, 'local', 'lng', 'strings', 'item-names.json')), Buffer.from('\uFEFF[{"id":1}]', 'utf16le'));
+assert.equal(fs.readFileSync(path.join(outputDir, 'global', 'excel', 'misc.txt'), 'utf-8'), 'name\tcode\r\n');
+
+// Reloaded output keeps its format; format-only change is a change.
+let resolver2 = new FileResolver({ outputPath: outputDir, baseInputPath: inputDir, userInputPath: null });
+let [ armor2, , armorInfo2 ] = resolver2.readAutoInputFileSync('global/excel/armor.txt');
+assert.deepEqual(armorInfo2.format, { bom: true, eol: '\r\n', encoding: 'utf-8' });
+assert.equal(resolver2.updateOutputFile('global/excel/armor.txt', armor2, { format: { bom: false } })[2].dirty, true);
+
+// Dir listing merges outputs and input layers; files filtered out of a layer are not listed.
+let layerDir = path.join(tmpDir, 'layer');
+fs.mkdirSync(path.join(layerDir, 'global', 'excel'), { recursive: true });
+fs.writeFileSync(path.join(layerDir, 'global', 'excel', 'weapons.txt'), 'name\n');
+fs.writeFileSync(path.join(layerDir, 'global', 'excel', 'skip.txt'), 'name\n');
+let resolver3 = new FileResolver({ outputPath: outputDir, baseInputPath: inputDir, userInputPath: null, inputLayers: [ { name: 'patch', path: layerDir, exclude: [ '**/skip.txt' ] } ] });
+resolver3.updateOutputFile('global/excel/new.txt', 'name\n');
+assert.deepEqual(resolver3.listDirectory('global\\excel\\').map(({ name }) => name), [ 'armor.txt', 'misc.txt', 'new.txt', 'weapons.txt' ]);
+assert.deepEqual(resolver3.listDirectory(''), [ { name: 'global', isDirectory: true }, { name: 'local', isDirectory: true } ]);
+
+// diff: BOM and line endings alone are not differences.
+fs.writeFileSync(path.join(tmpDir, 'crlf.txt'), 'x\r\ny\r\n');
+fs.writeFileSync(path.join(tmpDir, 'lf.txt'), '\uFEFFx\ny\n');
+assert.equal(diffFile(path.join(tmpDir, 'crlf.txt'), path.join(tmpDir, 'lf.txt'), { format: 'none' }).files.length, 0);
+fs.writeFileSync(path.join(tmpDir, 'lf.txt'), 'x\nz\n');
+assert.equal(diffFile(path.join(tmpDir, 'crlf.txt'), path.join(tmpDir, 'lf.txt'), { format: 'none' }).files.length, 1);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+console.log('resolver_test: OK');
@@ -15,10 +15,18 @@ const fsp = require('node:fs/promises');
 const path = require('node:path');
 const vm = require('node:vm');
 
-const { SimD2RMM } = require('./d2rmm_api');
+const { SimD2RMM, kEmulatedVersion } = require('./d2rmm_api');
 const pp = require('./pp');
 const { FileResolver } = require('./resolver');
-const { fatal, readFileSyncNoThrow, writeFileSync, cpSync, renameSync, rmFilesSync, tryParseJSON, nativePath } = require('./utils');
+const { ModWriteTracker } = require('./tracker');
+const { writeProvenanceManifest } = require('./provenance');
+const { IncrementalCache } = require('./incremental');
+const { ModSandbox, isModSandboxed } = require('./sandbox');
+const { resolveModOrder, validateModConfig } = require('./modmeta');
+const { saveD2RMMSettings } = require('./d2rmm_settings');
+const { OutputStaging, restoreOutputBackup } = require('./staging');
+const { writeBuildRecord, readBuildRecord, createModPackage, readModPackage } = require('./packaging');
+const { fatal, readFileSyncNoThrow, writeFileSync, cpSync, mkdirSync, renameSync, rmFilesSync, tryParseJSON, nativePath, normalizePath, probeSavePath } = require('./utils');
 
 // Some D2RMM mods abuse top level return statement.
 let tryWrapInFunctionScope = true;
@@ -87,14 +95,31 @@ class ScriptRunner {
         this.scriptResolver = new ExternScriptResolver(config);
         let conditionalAddon = { require };
         this.upperGlobal = Object.defineProperties(Object.assign(conditionalAddon, { D2RMM: null, config: null, }), filterGlobalPropertyDescriptors());
+        /** @type {{ mod: string, what: string }[]} */ this.sandboxViolations = [];
+        /** @type {?string} */ this.saveDir = null;  // For D2RMM.readSaveFile/writeSaveFile
     }
 
     runModScript(modData) {
-        const lowerGlobal = Object.create(this.upperGlobal);
+        let sandbox = isModSandboxed(this.config.task, modData.name) ? new ModSandbox(modData, this.resolver) : null;
+        let upperGlobal = sandbox?.makeGlobal() ?? this.upperGlobal;
+        const lowerGlobal = Object.create(upperGlobal);
         vm.createContext(lowerGlobal);
-        this.upperGlobal.D2RMM = new SimD2RMM(this.resolver, modData);
-        this.upperGlobal.config = modData.config;
-        console.log(`RUN: ${modData.name}`);
+        upperGlobal.D2RMM = new SimD2RMM(this.resolver, modData, { getSaveDir: () => this.getSaveDir() });
+        upperGlobal.config = modData.config;
+        console.log(`RUN: ${modData.name}${sandbox ? ' (sandboxed)' : ''}`);
+        try {
+            return this.runModScriptInContext(modData, lowerGlobal);
+        } finally {
+            for (let what of sandbox?.violations ?? []) this.sandboxViolations.push({ mod: modData.name, what });
+        }
+    }
+
+    getSaveDir() {
+        this.saveDir ??= this.config.path.task.path_override_save_path ?? probeSavePath(this.config.d2rmod.name, this.config.path.outputPath, { check: true });
+        return this.saveDir;
+    }
+
+    runModScriptInContext(modData, lowerGlobal) {
         try {
             let scriptSources = maybePreprocess(modData, this.scriptResolver);
             for (let scriptSource of scriptSources) {
@@ -109,21 +134,11 @@ class ScriptRunner {
     }
 }
 
-// D2RMM use mod.json[key].defaultValue if config.json[key] is missing.
-function getModConfig(modData) {
-    // Ensure key order
-    let needUpdate = false, newConfig = {};
-    for (let { id, defaultValue } of modData.mod.config ?? []) {
-        if (modData.config[id] === undefined) { needUpdate = true; break; }
-    }
-    if (!needUpdate) return modData.config;
-    for (let { id, defaultValue } of modData.mod.config)
-        newConfig[id] = modData.config[id] ?? defaultValue;
-    return newConfig;
-}
-
-function maybeFixupModConfig(modData, shouldSave) {
-    modData.config = getModConfig(modData);
+/** @param {'keep'|'coerce'|'drop'} policy  for invalid config.json entries */
+function maybeFixupModConfig(modData, shouldSave, policy) {
+    let [ newConfig, issues ] = validateModConfig(modData, policy);
+    for (let issue of issues) console.warn(`Mod: ${modData.name} config.json: ${issue}`);
+    modData.config = newConfig;
     if (shouldSave) {
         let newConfigString = JSON.stringify(modData.config, null, 4);
         if (newConfigString === '{}' || newConfigString === modData.configString?.trim()) return;
@@ -131,79 +146,180 @@ function maybeFixupModConfig(modData, shouldSave) {
     }
 }
 
-/** @param {import('./main').RunConfig} */
-async function runD2RMMTask(config) {
-    let modsDir = path.join(config.base.d2rmm_path, 'mods');
-    let modEnableMap = Object.assign({}, config.d2rmm['enabled-mods']), modNamesOrdered = config.task.override_ordered_mods ?? config.d2rmm['mods-order'];
-    let modsMap = {};
+/** Task/profile config overrides are applied after config.json fixup, so they are never saved to config.json. */
+function applyModConfigOverride(modData, configOverride, policy) {
+    console.info(`Mod: ${modData.name} config override: ${Object.keys(configOverride).join(', ')}`);
+    let [ newConfig, issues ] = validateModConfig({ name: modData.name, mod: modData.mod, config: Object.assign({}, modData.config, configOverride) }, policy);
+    for (let issue of issues) console.warn(`Mod: ${modData.name} config override: ${issue}`);
+    modData.config = newConfig;
+}
+
+/** Enabled mods in order, from D2RMM settings and task options override_ordered_mods/include_mods/exclude_mods.  @returns {string[]} */
+function getEffectiveModList(config) {
+    let modEnableMap = Object.assign({}, config.d2rmm['enabled-mods']), modNamesOrdered = (config.task.override_ordered_mods ?? config.d2rmm['mods-order']).slice();
     for (let modName of config.task.override_ordered_mods ?? []) modEnableMap[modName] = true;
     for (let modName of config.task.include_mods ?? []) {
-        modNamesOrdered.push(modName);
+        if (!modNamesOrdered.includes(modName)) modNamesOrdered.push(modName);
         modEnableMap[modName] = true;
     }
     for (let modName of config.task.exclude_mods ?? []) modEnableMap[modName] = false;
-    for (let modName of modNamesOrdered) {
-        if (!modEnableMap[modName]) continue;
+    return modNamesOrdered.filter(modName => modEnableMap[modName]);
+}
+
+/**
+ * @param {import('./main').RunConfig}  @param {{ watching?: boolean }}  watching: report failure instead of exiting
+ * @returns {Promise<boolean>}  all mods installed or skipped
+ */
+async function runD2RMMTask(config, { watching } = {}) {
+    const failTask = (message) => watching ? (console.error(message), false) : fatal(message);
+    let modsDir = config.path.modsPath;
+    let modsMap = {};
+    for (let modName of getEffectiveModList(config)) {
         let modPath = path.join(modsDir, modName), jsPath = path.join(modPath, 'mod.js');
         modsMap[modName] = {
             name: modName, path: modPath,
-            mod: fsp.readFile(path.join(modPath, 'mod.json'), 'utf-8'),
-            config: fsp.readFile(path.join(modPath, 'config.json'), 'utf-8'),
-            js: fsp.readFile(jsPath, 'utf-8'),
+            mod: resolveFileOp(fsp.readFile(path.join(modPath, 'mod.json'), 'utf-8')),
+            config: resolveFileOp(fsp.readFile(path.join(modPath, 'config.json'), 'utf-8')),
+            js: resolveFileOp(fsp.readFile(jsPath, 'utf-8')),
             jsPath: path.relative(process.cwd(), jsPath),
             configString: '',
         };
     }
 
-    let resolver = new FileResolver(config.path);
-    if (config.task.clean_output_dir ?? false) {  // Remove output dir and update modinfo.json
+    let totalModsCount = Object.entries(modsMap).length, successModsCount = 0, skipModsCount = 0, installedModNames = [];
+    let /** @type {import('./packaging').PackageModInfo[]} */ installedMods = [];  // As built: effective config (after overrides/profile/fixup)
+    let /** @type {{ name: string, status: 'installed'|'skipped'|'failed', reason: string }[]} */ modResults = [];
+    let loadedMods = [];
+    for (let [ modName, modData ] of Object.entries(modsMap)) {  // Load all mod.json first: requirements are checked before any script runs.
+        modData.mod = await modData.mod;
+        if (!modData.mod) {
+            skipModsCount++;
+            console.log(`Mod: ${modName} does not exist or is invalid`);
+            modResults.push({ name: modName, status: 'skipped', reason: 'does not exist or is invalid' });
+            continue;
+        }
+        modData.mod = JSON.parse(modData.mod)
+        modData.js = await modData.js;
+        modData.configString = await modData.config;
+        modData.config = JSON.parse(modData.configString ?? '{}');
+        if (!modData.js) {
+            skipModsCount++;
+            console.log(`Mod: ${modName} does not have mod.js`);
+            modResults.push({ name: modName, status: 'skipped', reason: 'does not have mod.js' });
+            continue;
+        }
+        loadedMods.push(modData);
+    }
+    let [ orderedMods, requirementErrors ] = resolveModOrder(loadedMods, {
+        version: kEmulatedVersion.join('.'), autoOrder: config.task.auto_order_mods ?? false,
+        isInstalled: (modName) => fs.existsSync(path.join(modsDir, modName, 'mod.json')),
+    });
+    if (requirementErrors.length > 0) return failTask(`Mod requirements not met:\n  ${requirementErrors.join('\n  ')}`);
+
+    let staging = (config.task.staged_output ?? true) && !dryrun ? new OutputStaging(config.path.outputPath) : null;
+    staging?.begin({ clean: config.task.clean_output_dir ?? false });
+    let outputPath = staging?.outputPath ?? config.path.outputPath;
+    let resolver = new FileResolver(Object.assign({}, config.path, { outputPath }));
+    if ((config.task.clean_output_dir ?? false) && !staging) {  // Remove output dir and update modinfo.json
         console.info(`Clean up output dir: ${config.path.outputPath}`);
         rmFilesSync(config.path.outputPath, { recursive: true, force: true });
+    }
+    if ((config.task.clean_output_dir ?? false) || !fs.existsSync(path.resolve(outputPath, '..', 'modinfo.json'))) {
         resolver.writeOutputFile('../modinfo.json', JSON.stringify({ name: config.d2rmod.name, savepath: config.d2rmod.savePath }));
     }
     if (config.task.output_copy_user_input_files ?? false) {  // Ensure files under <path_user_input_data> copied even if no mod script copy or save them.
         if (config.path.baseInputPath === config.path.userInputPath) {
             console.warn(`Skip copy user input data files, because input data and user input data path are same.`);
         } else {
-            console.info(`Copy user input data files to output: ${config.path.userInputPath} => ${config.path.outputPath}`);
-            cpSync(config.path.userInputPath, config.path.outputPath, { force: true });
+            console.info(`Copy user input data files to output: ${config.path.userInputPath} => ${outputPath}`);
+            cpSync(config.path.userInputPath, outputPath, { force: true });
         }
     }
 
-    let runner = new ScriptRunner(config, resolver);
-    let totalModsCount = Object.entries(modsMap).length, successModsCount = 0, skipModsCount = 0;
-    for (let [ modName, modData ] of Object.entries(modsMap)) {
-        modData.mod = await resolveFileOp(modData.mod);
-        if (!modData.mod) {
-            skipModsCount++;
-            console.log(`Mod: ${modName} does not exist or is invalid`);
-            continue;
+    let analyzeModConflicts = config.task.analyze_mod_conflicts ?? false, provenanceMode = config.task.provenance_manifest ?? 'off';
+    if (analyzeModConflicts || provenanceMode === 'cell') resolver.tracker = new ModWriteTracker();
+    let incrementalCache = null;
+    if (config.task.incremental ?? false) {
+        if (config.task.clean_output_dir ?? false) {
+            let cacheDir = path.resolve(__dirname, nativePath(config.base.path_incremental_cache || '.cache/incremental'), config.d2rmod.name);
+            incrementalCache = new IncrementalCache(cacheDir, config.path.outputPath);
+            incrementalCache.load();
+        } else {
+            console.warn(`Incremental: disabled, because it requires clean_output_dir`);
         }
-        modData.mod = JSON.parse(modData.mod)
-        modData.js = await resolveFileOp(modData.js);
-        modData.configString = await resolveFileOp(modData.config);
-        modData.config = JSON.parse(modData.configString ?? '{}');
-        if (!modData.js) {
-            skipModsCount++;
-            console.log(`Mod: ${modName} does not have mod.js`);
-            continue;
+    }
+    let continueOnError = config.task.continue_on_error ?? false;
+    let runner = new ScriptRunner(config, resolver);
+    for (let modData of orderedMods) {
+        let modName = modData.name;
+        maybeFixupModConfig(modData, !!config.base.d2rmm_config_completion, config.base.d2rmm_config_invalid ?? 'keep');
+        if (config.task.mod_config_overrides?.[modName]) applyModConfigOverride(modData, config.task.mod_config_overrides[modName], config.base.d2rmm_config_invalid ?? 'keep');
+        let fingerprint = null, cacheEntry = null, recordSnapshot = null;
+        if (incrementalCache) {
+            fingerprint = incrementalCache.fingerprintMod(modData, maybePreprocess(modData, runner.scriptResolver));
+            cacheEntry = incrementalCache.findValidEntry(installedModNames.length, modName, fingerprint, resolver);
         }
-        maybeFixupModConfig(modData, !!config.base.d2rmm_config_completion);
-        let [ rv, err ] = runner.runModScript(modData);
-        if (err) {
-            console.error(`Error during Mod: ${modData.name} |`, err);
-            break;
+        if (cacheEntry) {
+            incrementalCache.replay(cacheEntry, resolver);
+        } else {
+            let resolverSnapshot = continueOnError ? resolver.snapshot() : null;
+            recordSnapshot = incrementalCache?.beginRecord(resolver);
+            let [ rv, err ] = runner.runModScript(modData);
+            if (err) {
+                resolver.recorder = null;
+                console.error(`Error during Mod: ${modData.name} |`, err);
+                modResults.push({ name: modName, status: 'failed', reason: String(err?.message ?? err).split('\n')[0] });
+                if (!continueOnError) break;
+                console.warn(`Roll back outputs of Mod: ${modData.name} (files copied by D2RMM.copyFile are kept)`);
+                resolver.restore(resolverSnapshot);
+                resolver.tracker?.discardWrites(modName);
+                continue;
+            }
+            incrementalCache?.endRecord(recordSnapshot, modName, fingerprint, resolver);
         }
         successModsCount++;
+        installedModNames.push(modName);
+        installedMods.push({ name: modName, version: modData.mod.version ?? null, config: modData.config });
+        modResults.push({ name: modName, status: 'installed', reason: cacheEntry ? 'cached' : '' });
     }
+    writeBuildRecord(resolver, config.task.profile || null, installedMods);
     resolver.flush();
-    if (successModsCount + skipModsCount === totalModsCount) {
+    if (incrementalCache && successModsCount + skipModsCount === totalModsCount) incrementalCache.save();
+    if (analyzeModConflicts) resolver.tracker.printReport(resolver.outputWriters);
+    if (provenanceMode !== 'off') writeProvenanceManifest(resolver, installedModNames, { cells: provenanceMode === 'cell' });
+    if (runner.sandboxViolations.length > 0) {
+        console.warn(`Sandbox: ${runner.sandboxViolations.length} violations: ` + runner.sandboxViolations.map(({ mod, what }) => `${mod}: ${what}`).join(', '));
+    }
+    let failModsCount = modResults.filter(({ status }) => status === 'failed').length;
+    if (continueOnError || failModsCount > 0) printModResults(modResults);
+    let complete = successModsCount + skipModsCount === totalModsCount;
+    if (staging && (complete || continueOnError)) {
+        let stagingErrors = staging.verify(resolver);
+        if (stagingErrors.length > 0) {
+            staging.discard();
+            return failTask(`Staging: verify failed:\n  ${stagingErrors.join('\n  ')}`);
+        }
+        staging.commit();
+    } else {
+        staging?.discard();
+    }
+    if (complete) {
         console.info(`DONE: ${successModsCount}/${totalModsCount} Installed. (${skipModsCount} skipped)`);
+        return true;
+    } else if (continueOnError) {
+        console.warn(`DONE: ${successModsCount}/${totalModsCount} Installed. (${skipModsCount} skipped, ${failModsCount} failed)`);
+        return false;
     } else {
-        fatal(`FAIL: ${successModsCount}/${totalModsCount} Installed. (${skipModsCount} skipped)`);
+        return failTask(`FAIL: ${successModsCount}/${totalModsCount} Installed. (${skipModsCount} skipped)`);
     }
 }
 
+function printModResults(modResults) {
+    let nameWidth = Math.max(4, ...modResults.map(({ name }) => name.length));
+    console.info(`${'Mod'.padEnd(nameWidth)}  Status     Detail`);
+    for (let { name, status, reason } of modResults) console.info(`${name.padEnd(nameWidth)}  ${status.padEnd(9)}  ${reason}`.trimEnd());
+}
+
 function filterExtInDir(dir, exts) {
     return fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isFile() && exts.includes(path.parse(d.name).ext) && d.name !== 'Settings.json').map(d => d.name);
 }
@@ -253,7 +369,7 @@ function makeBestEffortResolver(config, excelDir) {
     let /** @type {FileResolver} */ resolver = null;
     let /** @type {FileResolver} */ resolverFallback = null;
     if (excelDir === path.join(config.path.outputPath, 'global', 'excel')) {
-        resolver = new FileResolver(config.path);
+        resolver = new FileResolver(Object.assign({}, config.path, { cascPath: null }));  // Callers read real paths
     } else {
         let dirs = excelDir.split(path.sep);
         if (dirs.length > 2 && dirs.slice(-2).join('/') === 'global/excel') {
@@ -357,6 +473,95 @@ async function runD2STask(config) {
     }
 }
 
+/** Enabled mods in order, followed by other mods known to D2RMM settings or installed in mods dir.  @returns {string[]} */
+function getAllModList(config, enabledModNames) {
+    let knownModNames = config.d2rmm['mods-order'].concat(Object.keys(config.d2rmm['enabled-mods']));
+    if (config.path.modsPath && fs.existsSync(config.path.modsPath)) {
+        knownModNames.push(...fs.readdirSync(config.path.modsPath).filter(name => fs.existsSync(path.join(config.path.modsPath, name, 'mod.json'))));
+    }
+    return [ ...new Set(enabledModNames.concat(knownModNames)) ];
+}
+
+/** Write effective mod list (enabled mods and order) back to D2RMM settings.  @param {import('./main').RunConfig} */
+async function runD2RMMSyncTask(config) {
+    let enabledModNames = getEffectiveModList(config), enabledSet = new Set(enabledModNames);
+    let modsOrder = getAllModList(config, enabledModNames);
+    let enabledMods = Object.fromEntries(modsOrder.map(modName => [ modName, enabledSet.has(modName) ]));
+    console.info(`D2RMM mods: ${enabledModNames.length} enabled: ${enabledModNames.join(', ')}`);
+    for (let [ i, modName ] of modsOrder.entries()) console.log(`D2RMM mods-order[${i}]: ${modName}${enabledSet.has(modName) ? '' : ' (disabled)'}`);
+    await saveD2RMMSettings(config.base, { 'mods-order': modsOrder, 'enabled-mods': enabledMods });
+}
+
+/** Swap game mod dir with the previous build kept by staged output.  @param {import('./main').RunConfig} */
+async function runD2RMMRestoreTask(config) {
+    let err = restoreOutputBackup(config.path.outputPath);
+    if (err) fatal(err.message);
+}
+
+/**
+ * Zip built game mod dir with provenance of its mods (as recorded in d2rmp-build.json by the build) and checksums.
+ * Package path: first command line argument, default <MOD>.zip.  @param {import('./main').RunConfig}
+ */
+async function runD2RMMPackageTask(config) {
+    let modDir = path.resolve(config.path.outputPath, '..');
+    if (!fs.existsSync(path.join(modDir, 'modinfo.json'))) fatal(`Package: no built game mod dir (run d2rmm task first): ${modDir}`);
+    let [ record, err ] = readBuildRecord(modDir);
+    if (err) fatal(`Package: ${err.message} (rebuild with d2rmm task first)`);
+    createModPackage(modDir, path.resolve(nativePath(config.argv[0] ?? `${path.basename(modDir).replace(/\.mpq$/i, '')}.zip`)), record.mods, record.profile ?? null);
+}
+
+/** Install package (from command line) as game mod dir, after checksums are verified. The replaced build is kept as by staged output.  @param {import('./main').RunConfig} */
+async function runD2RMMInstallTask(config) {
+    if (!config.argv[0]) fatal(`Install: no package given`);
+    let [ pkg, err ] = readModPackage(config.argv[0]);
+    if (err) fatal(`Install: ${err.message}`);
+    let staging = new OutputStaging(config.path.outputPath);
+    if (pkg.modDirName !== path.basename(staging.liveDir))
+        fatal(`Install: package is mod ${pkg.manifest.name}, but output is ${staging.liveDir} (set --override-output-mod-name=${pkg.manifest.name})`);
+    console.info(`Install: ${pkg.manifest.name} (${pkg.manifest.created}, ${pkg.files.size} files), mods: ` +
+        pkg.manifest.mods.map(({ name, version }) => version ? `${name} ${version}` : name).join(', '));
+    if (dryrun) return console.warn(`DRY-RUN: install package to: ${staging.liveDir}`);
+    staging.begin({ clean: true, empty: true });
+    for (let [ relPath, content ] of pkg.files) {
+        let filepath = path.join(staging.stagingDir, nativePath(relPath));
+        mkdirSync(path.dirname(filepath));
+        writeFileSync(filepath, content, { binary: true });
+    }
+    staging.commit();
+}
+
+/** Print input layers each rel-path (from command line) resolves from and shadows, and whether it is an existing output.  @param {import('./main').RunConfig} */
+async function runD2RMMResolveTask(config) {
+    let resolver = new FileResolver(config.path);
+    if (config.argv.length === 0) console.warn(`Resolve: no path given`);
+    for (let mixedPath of config.argv) {
+        let lines = [], resolved = false;
+        for (let { name, realPath, filtered, found } of resolver.describeInputLayers(mixedPath)) {
+            let state = filtered ? 'excluded' : (!found ? 'not found' : (resolved ? 'shadowed' : 'resolved'));
+            resolved ||= found && !filtered;
+            lines.push(`  ${state === 'resolved' ? '=>' : '  '} ${name.padEnd(10)} ${state.padEnd(9)}  ${realPath}`);
+        }
+        let outputRealPath = resolver.getNativePath(config.path.outputPath, normalizePath(mixedPath));
+        if (fs.existsSync(outputRealPath)) lines.push(`     (output exists: ${outputRealPath})`);
+        console.info(`Resolve: ${normalizePath(mixedPath)}${resolved ? '' : ' (not found)'}\n${lines.join('\n')}`);
+    }
+}
+
+/** Print all mods: effective run order of enabled mods (before re-ordering by auto_order_mods), installed state and mod.json version. */
+async function runD2RMMListTask(config) {
+    let enabledModNames = getEffectiveModList(config), modNames = getAllModList(config, enabledModNames);
+    let nameWidth = Math.max(3, ...modNames.map(name => name.length));
+    console.info(`${'#'.padStart(3)}  ${'Mod'.padEnd(nameWidth)}  Status     Version`);
+    for (let modName of modNames) {
+        let index = enabledModNames.indexOf(modName);
+        let [ content ] = readFileSyncNoThrow(path.join(config.path.modsPath ?? '', modName, 'mod.json'), { logError: false });
+        let [ mod ] = content ? tryParseJSON(content, 'json') : [ null ];
+        let status = !mod ? 'missing' : (index < 0 ? 'disabled' : 'enabled');
+        console.info(`${index < 0 ? '-'.padStart(3) : String(index + 1).padStart(3)}  ${modName.padEnd(nameWidth)}  ${status.padEnd(9)}  ${mod?.version ?? ''}`.trimEnd());
+    }
+}
+
 module.exports = {
-    runD2RMMTask, runD2STask,
+    runD2RMMTask, runD2RMMSyncTask, runD2RMMListTask, runD2RMMRestoreTask, runD2RMMResolveTask, runD2RMMPackageTask, runD2RMMInstallTask,
+    runD2STask, getEffectiveModList,
 };
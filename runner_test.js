@@ -0,0 +1,130 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+globalThis.dryrun = false;
+const { SimD2RMM } = require('./d2rmm_api');
+const { FileResolver } = require('./resolver');
+const { readModPackage } = require('./packaging');
+const { runD2RMMTask, runD2RMMPackageTask } = require('./runner');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-runner-'));
+const inputDir = path.join(tmpDir, 'input'), modsDir = path.join(tmpDir, 'mods'), liveDir = path.join(tmpDir, 'game', 'mods', 'Test', 'Test.mpq');
+fs.mkdirSync(path.join(inputDir, 'global', 'excel'), { recursive: true });
+fs.writeFileSync(path.join(inputDir, 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nRing\trin\t10\n');
+fs.mkdirSync(path.join(inputDir, 'local', 'lng'), { recursive: true });
+fs.writeFileSync(path.join(inputDir, 'local', 'lng', 'next_string_id.txt'), 'ID\n100\n');
+const readLive = (...relPath) => fs.readFileSync(path.join(liveDir, ...relPath), 'utf-8');
+
+function writeMod(modName, js, mod = {}, config = {}) {
+    fs.mkdirSync(path.join(modsDir, modName), { recursive: true });
+    fs.writeFileSync(path.join(modsDir, modName, 'mod.json'), JSON.stringify(Object.assign({ name: modName, version: '1.0' }, mod)));
+    fs.writeFileSync(path.join(modsDir, modName, 'mod.js'), js);
+    fs.writeFileSync(path.join(modsDir, modName, 'config.json'), JSON.stringify(config));
+}
+/** @returns {import('./main').RunConfig} */
+function makeConfig(modNames, task = {}) {
+    return {
+        base: {}, task, argv: [],
+        path: { outputPath: path.join(liveDir, 'data'), baseInputPath: inputDir, userInputPath: null, externLibJSPath: null, modsPath: modsDir, task: {} },
+        d2rmod: { name: 'Test', savePath: 'Test/' },
+        d2rmm: { 'enabled-mods': Object.fromEntries(modNames.map(modName => [ modName, true ])), 'mods-order': modNames },
+    };
+}
+const kSetCost = (cost) => `let misc = D2RMM.readTsv('global/excel/misc.txt'); misc.rows[0].cost = ${cost}; D2RMM.writeTsv('global/excel/misc.txt', misc);`;
+
+// Unknown APIs are undefined for feature detection; readDirectory merges outputs and input layers; read errors are thrown.
+let d2rmm = new SimD2RMM(new FileResolver({ outputPath: path.join(tmpDir, 'api'), baseInputPath: inputDir, userInputPath: null }), { name: 'ModA', config: { lvl: 1 } });
+assert.equal(d2rmm.getVersion(), 1.7);
+assert.equal(d2rmm.getConfigJSON(), '{"lvl":1}');
+assert.equal(d2rmm.someFutureAPI, undefined);
+assert.ok(!('someFutureAPI' in d2rmm));
+d2rmm.writeTxt('global/ui/new.txt', 'x');  // Unflushed outputs are listed
+assert.deepEqual(d2rmm.readDirectory('global'), [ { name: 'excel', isDirectory: true }, { name: 'ui', isDirectory: true } ]);
+assert.deepEqual(d2rmm.readDirectory('global/excel').find(({ name }) => name === 'misc.txt'), { name: 'misc.txt', isDirectory: false });
+assert.deepEqual(d2rmm.readDirectory('missing'), []);
+assert.throws(() => d2rmm.readJson('global/excel'), { extra: 'readJson: global/excel' });
+assert.doesNotThrow(() => JSON.stringify(d2rmm));
+
+(async () => {
+    // First staged run without clean_output_dir: modinfo.json is written.
+    writeMod('ModA', kSetCost(20));
+    assert.equal(await runD2RMMTask(makeConfig([ 'ModA' ]), { watching: true }), true);
+    assert.deepEqual(JSON.parse(readLive('modinfo.json')), { name: 'Test', savepath: 'Test/' });
+    assert.deepEqual(JSON.parse(readLive('d2rmp-build.json')), { version: 1, profile: null, mods: [ { name: 'ModA', version: '1.0', config: {} } ] });
+    assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nRing\trin\t20\n');
+    assert.ok(!fs.existsSync(path.join(liveDir, 'provenance.json')));  // provenance_manifest is off by default
+    // Only backup exists.
+    fs.renameSync(liveDir, `${liveDir}.bak`);
+    assert.equal(await runD2RMMTask(makeConfig([ 'ModA' ]), { watching: true }), true);
+    assert.ok(fs.existsSync(path.join(liveDir, 'modinfo.json')));
+
+    // continue_on_error: outputs of a failing mod are rolled back, other mods are installed.
+    writeMod('ModBad', `${kSetCost(99)} D2RMM.writeTxt('global/excel/bad.txt', 'x\\n'); D2RMM.getNextStringID(); throw new Error('broken');`);
+    writeMod('ModC', `let misc = D2RMM.readTsv('global/excel/misc.txt'); misc.rows[0].name = 'Band'; D2RMM.writeTsv('global/excel/misc.txt', misc);`);
+    assert.equal(await runD2RMMTask(makeConfig([ 'ModA', 'ModBad', 'ModC' ], { continue_on_error: true }), { watching: true }), false);
+    assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nBand\trin\t20\n');
+    assert.ok(!fs.existsSync(path.join(liveDir, 'data', 'global', 'excel', 'bad.txt')));
+    assert.ok(!fs.existsSync(path.join(liveDir, 'data', 'local', 'lng', 'next_string_id.txt')));
+    assert.deepEqual(JSON.parse(readLive('d2rmp-build.json')).mods.map(({ name }) => name), [ 'ModA', 'ModC' ]);
+    // Without continue_on_error, the task fails and game mod dir is untouched.
+    writeMod('ModC', kSetCost(30));
+    assert.equal(await runD2RMMTask(makeConfig([ 'ModA', 'ModBad', 'ModC' ]), { watching: true }), false);
+    assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nBand\trin\t20\n');
+    assert.ok(!fs.existsSync(`${liveDir}.staging`));
+
+    // Build records effective config and profile in d2rmp-build.json (modinfo.json is left alone); package uses that record, not config.json on disk.
+    writeMod('ModB', `let misc = D2RMM.readTsv('global/excel/misc.txt'); misc.rows[0].name = config.label; D2RMM.writeTsv('global/excel/misc.txt', misc);`,
+        { version: '2.1', config: [ { id: 'label', type: 'text', defaultValue: 'Ring' }, { id: 'lvl', type: 'number', defaultValue: 1 } ] }, { label: 'Ring', lvl: 1 });
+    let packageConfig = makeConfig([ 'ModA', 'ModB' ], { profile: 'test', mod_config_overrides: { ModB: { label: 'Band', lvl: '3' } } });
+    packageConfig.base.d2rmm_config_invalid = 'coerce';
+    assert.equal(await runD2RMMTask(packageConfig, { watching: true }), true);
+    let builtMods = [ { name: 'ModA', version: '1.0', config: {} }, { name: 'ModB', version: '2.1', config: { label: 'Band', lvl: 3 } } ];
+    assert.deepEqual(JSON.parse(readLive('d2rmp-build.json')), { version: 1, profile: 'test', mods: builtMods });
+    assert.deepEqual(JSON.parse(readLive('modinfo.json')), { name: 'Test', savepath: 'Test/' });
+    assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nBand\trin\t20\n');
+    let packagePath = path.join(tmpDir, 'Test.zip');
+    await runD2RMMPackageTask(Object.assign(packageConfig, { argv: [ packagePath ] }));
+    let [ pkg, pkgErr ] = readModPackage(packagePath);
+    assert.equal(pkgErr, null);
+    assert.equal(pkg.manifest.profile, 'test');
+    assert.deepEqual(pkg.manifest.mods, builtMods);
+
+    // Incremental: unchanged mods are replayed from cache, up to the first mod whose script, config or inputs changed.
+    const runLogged = async (config) => {
+        let lines = [], log = console.log;
+        console.log = (...args) => { lines.push(args.join(' ')); log(...args); };
+        try {
+            assert.equal(await runD2RMMTask(config, { watching: true }), true);
+        } finally { console.log = log; }
+        return lines.filter(line => /^(RUN|Incremental: replay cached mod): /.test(line));
+    };
+    const incrementalConfig = () => Object.assign(makeConfig([ 'ModA', 'ModB' ], { clean_output_dir: true, incremental: true }),
+        { base: { path_incremental_cache: path.join(tmpDir, 'cache') } });
+    assert.deepEqual(await runLogged(incrementalConfig()), [ 'RUN: ModA', 'RUN: ModB' ]);
+    assert.deepEqual(await runLogged(incrementalConfig()), [ 'Incremental: replay cached mod: ModA', 'Incremental: replay cached mod: ModB' ]);
+    assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nRing\trin\t20\n');
+    writeMod('ModB', `let misc = D2RMM.readTsv('global/excel/misc.txt'); misc.rows[0].name = config.label; D2RMM.writeTsv('global/excel/misc.txt', misc);`,
+        { version: '2.1' }, { label: 'Band' });
+    assert.deepEqual(await runLogged(incrementalConfig()), [ 'Incremental: replay cached mod: ModA', 'RUN: ModB' ]);
+    assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nBand\trin\t20\n');
+    fs.writeFileSync(path.join(inputDir, 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nRing\trin\t5\n');
+    assert.deepEqual(await runLogged(incrementalConfig()), [ 'RUN: ModA', 'RUN: ModB' ]);
+    assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\tcost\nBand\trin\t20\n');
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log('runner_test: OK');
+})();
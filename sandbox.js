@@ -0,0 +1,142 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const url = require('node:url');
+
+// Like D2RMM's, this sandbox is weak: it stops careless or curious scripts, not hostile ones. (e.g. host objects leak host Function)
+const kSafeModules = { path, util: require('node:util') };
+const kSafeHostGlobals = [ 'console', 'Buffer', 'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder', 'structuredClone', 'atob', 'btoa' ];
+const kSafeProcessProps = [ 'platform', 'arch', 'version', 'versions', 'hrtime', 'nextTick' ];
+// fs function : access of path arguments. Other path based functions are blocked; fd based functions need an fd from open().
+const kFsPathFunctions = {
+    access: [ 'r' ], exists: [ 'r' ], stat: [ 'r' ], lstat: [ 'r' ], readFile: [ 'r' ], readdir: [ 'r' ], opendir: [ 'r' ],
+    realpath: [ 'r' ], readlink: [ 'r' ], createReadStream: [ 'stream' ], open: [ 'open' ],
+    writeFile: [ 'w' ], appendFile: [ 'w' ], mkdir: [ 'w' ], rm: [ 'w' ], rmdir: [ 'w' ], unlink: [ 'w' ], truncate: [ 'w' ],
+    utimes: [ 'w' ], createWriteStream: [ 'w' ], copyFile: [ 'r', 'w' ], cp: [ 'r', 'w' ], rename: [ 'w', 'w' ],
+};
+const kFsFdFunctions = [ 'close', 'read', 'write', 'readv', 'writev', 'fstat', 'fsync', 'fdatasync', 'ftruncate' ];
+// fs non-function properties and classes that cannot reach the filesystem. Others (e.g. promises, ReadStream) are blocked or wrapped.
+const kFsSafeProps = [ 'constants', 'F_OK', 'R_OK', 'W_OK', 'X_OK', 'Dirent', 'Stats' ];
+const { O_WRONLY, O_RDWR, O_CREAT, O_TRUNC, O_APPEND } = fs.constants;
+
+function toFsPath(pathLike) {
+    if (typeof pathLike === 'string') return pathLike;
+    if (Buffer.isBuffer(pathLike)) return pathLike.toString();
+    if (pathLike instanceof URL) return url.fileURLToPath(pathLike);
+    return null;  // fd
+}
+
+/** Access of open() flags: 'r' (default), 'rs' or O_RDONLY only read; other strings and O_* bits may modify the file. */
+function getOpenFlagsAccess(flags) {
+    if (flags === undefined || flags === null) return 'r';
+    if (typeof flags === 'number') return flags & (O_WRONLY | O_RDWR | O_CREAT | O_TRUNC | O_APPEND) ? 'w' : 'r';
+    return typeof flags === 'string' && /^r[^+]*$/.test(flags) ? 'r' : 'w';
+}
+
+function isPathUnder(filepath, rootPath) {
+    let relPath = path.relative(rootPath, filepath);
+    return !relPath.startsWith('..') && !path.isAbsolute(relPath);
+}
+
+/** Restricted globals for one mod script: allowlisted require, checked fs, and process without env/exit/etc. */
+class ModSandbox {
+    /** @param {import('./resolver').FileResolver} resolver */
+    constructor(modData, resolver) {
+        this.modName = modData.name;
+        let outputModPath = resolver.outputPath ? path.resolve(resolver.outputPath, '..') : null;  // Includes modinfo.json
+        this.readPaths = [ modData.path, ...resolver.inputPaths, outputModPath ].filter(s => s).map(s => path.resolve(s));
+        this.writePaths = [ modData.path, outputModPath ].filter(s => s).map(s => path.resolve(s));
+        /** @type {string[]} */ this.violations = [];
+        this.fs = this.makeFsProxy(fs, 'fs', true);
+        this.fsPromises = this.makeFsProxy(fs.promises, 'fs.promises', false);
+    }
+
+    violate(what) {
+        this.violations.push(what);
+        console.warn(`Sandbox violation: ${this.modName}: ${what}`);
+        return new Error(`Sandbox: blocked: ${what}`);
+    }
+
+    checkPath(pathLike, access, apiName) {
+        let filepath = toFsPath(pathLike);
+        if (filepath === null) return;
+        let absPath = path.resolve(filepath);
+        if (!(access === 'r' ? this.readPaths : this.writePaths).some(rootPath => isPathUnder(absPath, rootPath)))
+            throw this.violate(`${apiName}: ${access === 'r' ? 'read' : 'write'} ${absPath}`);
+    }
+
+    makeFsProxy(target, name, withSync) {
+        let wrappers = new Map();
+        const wrap = (prop) => {
+            let fnName = withSync ? prop.replace(/Sync$/, '') : prop, accesses = kFsPathFunctions[fnName], apiName = `${name}.${prop}`;
+            if (!accesses && !kFsFdFunctions.includes(fnName)) {
+                let violate = () => this.violate(`${apiName}: not allowed`);
+                return function () { throw violate(); };  // Also blocks use as constructor (e.g. ReadStream)
+            }
+            return (...args) => {
+                for (let [ i, access ] of (accesses ?? []).entries()) {
+                    if (access === 'open') access = getOpenFlagsAccess(typeof args[1] === 'function' ? undefined : args[1]);
+                    else if (access === 'stream') access = getOpenFlagsAccess(typeof args[1] === 'object' ? args[1]?.flags : undefined);
+                    this.checkPath(args[i], access, apiName);
+                }
+                return target[prop](...args);
+            };
+        };
+        return new Proxy(target, {
+            get: (target, prop) => {
+                if (typeof prop !== 'string' || target[prop] === undefined || kFsSafeProps.includes(prop)) return target[prop];
+                if (prop === 'promises' && withSync) return this.fsPromises;
+                if (typeof target[prop] !== 'function') throw this.violate(`${name}.${prop}: not allowed`);
+                if (!wrappers.has(prop)) wrappers.set(prop, wrap(prop));
+                return wrappers.get(prop);
+            },
+            set: (target, prop) => { throw this.violate(`${name}.${String(prop)}: modify`); },
+        });
+    }
+
+    makeRequire() {
+        return (id) => {
+            let name = String(id).replace(/^node:/, '');
+            if (name === 'fs') return this.fs;
+            if (name === 'fs/promises') return this.fsPromises;
+            if (Object.hasOwn(kSafeModules, name)) return kSafeModules[name];
+            throw this.violate(`require: ${id}`);
+        };
+    }
+
+    makeProcess() {
+        return new Proxy({}, {
+            get: (target, prop) => {
+                if (typeof prop === 'string' && kSafeProcessProps.includes(prop)) return process[prop];
+                if (typeof prop !== 'string' || prop === 'then') return undefined;
+                throw this.violate(`process.${prop}`);
+            },
+            set: (target, prop) => { throw this.violate(`process.${String(prop)}: modify`); },
+        });
+    }
+
+    /** Upper global object for vm context. (JS builtins are provided by context itself) */
+    makeGlobal() {
+        let upperGlobal = { require: this.makeRequire(), process: this.makeProcess(), D2RMM: null, config: null };
+        for (let name of kSafeHostGlobals) upperGlobal[name] = globalThis[name];
+        return upperGlobal;
+    }
+}
+
+/** @param {import('./main').TaskConfig} taskConfig */
+function isModSandboxed(taskConfig, modName) {
+    return !!(taskConfig.sandbox || (taskConfig.sandbox_mods ?? []).includes(modName));
+}
+
+module.exports = { ModSandbox, isModSandboxed };
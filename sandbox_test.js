@@ -0,0 +1,92 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const { ModSandbox } = require('./sandbox');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-sandbox-'));
+const modDir = path.join(tmpDir, 'mods', 'ModA'), inputDir = path.join(tmpDir, 'input'), outputDir = path.join(tmpDir, 'output', 'data');
+const secretPath = path.join(tmpDir, 'secret.txt');
+for (let dir of [ modDir, inputDir, outputDir ]) fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(path.join(modDir, 'mod.txt'), 'mod');
+fs.writeFileSync(path.join(inputDir, 'armor.txt'), 'armor');
+fs.writeFileSync(secretPath, 'secret');
+
+/** @returns {[ any, ?Error, string[] ]}  result of script, error, violations */
+function runSandboxed(code) {
+    let sandbox = new ModSandbox({ name: 'ModA', path: modDir }, { outputPath: outputDir, inputPaths: [ inputDir ] });
+    let lowerGlobal = Object.create(sandbox.makeGlobal());
+    vm.createContext(lowerGlobal);
+    try {
+        return [ vm.runInContext(code, lowerGlobal), null, sandbox.violations ];
+    } catch (e) { return [ undefined, e, sandbox.violations ]; }
+}
+function checkAllowed(code, expected) {
+    let [ rv, err, violations ] = runSandboxed(code);
+    assert.equal(err, null, code);
+    assert.deepEqual(violations, [], code);
+    if (expected !== undefined) assert.deepEqual(rv, expected, code);
+    return rv;
+}
+function checkBlocked(code, expectedViolation) {
+    let [ , err, violations ] = runSandboxed(code);
+    assert.match(err?.message ?? '', /^Sandbox: blocked: /, code);
+    assert.equal(violations.length, 1, code);
+    assert.ok(violations[0].includes(expectedViolation), `${code}: ${violations[0]}`);
+}
+const q = JSON.stringify;
+
+// Allowed: reads of mod/input/output, writes of mod/output, safe modules and properties.
+checkAllowed(`require('fs').readFileSync(${q(path.join(modDir, 'mod.txt'))}, 'utf-8')`, 'mod');
+checkAllowed(`require('node:fs').readFileSync(${q(path.join(inputDir, 'armor.txt'))}, 'utf-8')`, 'armor');
+checkAllowed(`require('fs').writeFileSync(${q(path.join(outputDir, 'new.txt'))}, 'x'); require('fs').existsSync(${q(path.join(outputDir, 'new.txt'))})`, true);
+checkAllowed(`require('fs').constants.O_RDONLY === require('fs').F_OK`, require('fs').constants.O_RDONLY === fs.F_OK);
+checkAllowed(`require('fs').statSync(${q(modDir)}) instanceof require('fs').Stats`, true);
+checkAllowed(`require('path').basename('a/b.txt') + process.platform`, 'b.txt' + process.platform);
+let promise = checkAllowed(`require('fs').promises.readFile(${q(path.join(inputDir, 'armor.txt'))}, 'utf-8')`);
+assert.equal(require('fs').promises, fs.promises);  // Host fs is untouched
+checkAllowed(`require('fs').promises === require('fs/promises')`, true);
+// open: read-only flags on input, write flags on output.
+checkAllowed(`let fs = require('fs'); fs.closeSync(fs.openSync(${q(path.join(inputDir, 'armor.txt'))})); fs.closeSync(fs.openSync(${q(path.join(inputDir, 'armor.txt'))}, fs.constants.O_RDONLY)); true`, true);
+checkAllowed(`let fs = require('fs'), fd = fs.openSync(${q(path.join(outputDir, 'fd.txt'))}, fs.constants.O_WRONLY | fs.constants.O_CREAT); fs.writeSync(fd, 'x'); fs.closeSync(fd)`);
+
+// Blocked: paths outside, through sync, callback, promises and stream APIs; unsafe modules and properties.
+checkBlocked(`require('fs').readFileSync(${q(secretPath)})`, `fs.readFileSync: read ${secretPath}`);
+checkBlocked(`require('fs').promises.readFile(${q(secretPath)})`, `fs.promises.readFile: read ${secretPath}`);
+checkBlocked(`require('fs/promises').readFile(${q(secretPath)})`, `fs.promises.readFile: read ${secretPath}`);
+checkBlocked(`require('fs').readFile(${q(secretPath)}, () => {})`, `fs.readFile: read ${secretPath}`);
+checkBlocked(`require('fs').createReadStream(${q(secretPath)})`, `fs.createReadStream: read ${secretPath}`);
+checkBlocked(`new (require('fs').ReadStream)(${q(secretPath)})`, 'fs.ReadStream: not allowed');
+checkBlocked(`require('fs').writeFileSync(${q(path.join(inputDir, 'armor.txt'))}, 'x')`, `fs.writeFileSync: write ${path.join(inputDir, 'armor.txt')}`);
+checkBlocked(`require('fs').promises.writeFile(${q(path.join(inputDir, 'armor.txt'))}, 'x')`, 'fs.promises.writeFile: write');
+// Write flags of open/streams are writes, whether string or numeric.
+checkBlocked(`let fs = require('fs'); fs.writeSync(fs.openSync(${q(path.join(inputDir, 'armor.txt'))}, fs.constants.O_WRONLY | fs.constants.O_TRUNC), 'x')`, `fs.openSync: write ${path.join(inputDir, 'armor.txt')}`);
+checkBlocked(`let fs = require('fs'); fs.openSync(${q(path.join(inputDir, 'armor.txt'))}, fs.constants.O_RDWR)`, 'fs.openSync: write');
+checkBlocked(`let fs = require('fs'); fs.openSync(${q(path.join(inputDir, 'armor.txt'))}, 'r+')`, 'fs.openSync: write');
+checkBlocked(`let fs = require('fs'); fs.promises.open(${q(path.join(inputDir, 'armor.txt'))}, fs.constants.O_APPEND | fs.constants.O_WRONLY)`, 'fs.promises.open: write');
+checkBlocked(`require('fs').createReadStream(${q(path.join(inputDir, 'armor.txt'))}, { flags: 'w' })`, `fs.createReadStream: write ${path.join(inputDir, 'armor.txt')}`);
+checkBlocked(`require('fs').chmodSync(${q(path.join(modDir, 'mod.txt'))}, 0o777)`, 'fs.chmodSync: not allowed');
+checkBlocked(`require('fs').readFileSync = null`, 'fs.readFileSync: modify');
+checkBlocked(`require('child_process')`, 'require: child_process');
+checkBlocked(`process.env`, 'process.env');
+assert.equal(fs.readFileSync(path.join(inputDir, 'armor.txt'), 'utf-8'), 'armor');
+
+promise.then(content => {
+    assert.equal(content, 'armor');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log('sandbox_test: OK');
+});
@@ -0,0 +1,121 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { readFileSyncNoThrow, encodeText, kDefaultTextFormat, cpSync, mkdirSync, rmSync, renameSync } = require('./utils');
+
+/** Sibling dirs of game mod dir (<MOD>.mpq): staging build, previous build, and replaced build during restore.  @param {string} outputPath  <MOD>.mpq/data */
+function getOutputDirs(outputPath) {
+    let liveDir = path.resolve(outputPath, '..');
+    return { liveDir, stagingDir: `${liveDir}.staging`, backupDir: `${liveDir}.bak`, swapDir: `${liveDir}.restoring` };
+}
+
+/**
+ * Swaps are a few renames, not atomic: recover game mod dir if a commit or restore was interrupted between them.
+ * Interrupted commit (game mod dir already moved to backup): the previous build is moved back. (the staged build is rebuilt anyway)
+ */
+function recoverOutputDirs({ liveDir, backupDir, swapDir }) {
+    if (fs.existsSync(swapDir)) {
+        let targetDir = fs.existsSync(liveDir) ? backupDir : liveDir;
+        if (fs.existsSync(targetDir)) return console.warn(`Staging: cannot recover interrupted restore, both exist: ${swapDir} ${targetDir}`);
+        console.warn(`Staging: recover interrupted restore: ${swapDir} => ${targetDir}`);
+        renameSync(swapDir, targetDir);
+    }
+    if (!fs.existsSync(liveDir) && fs.existsSync(backupDir)) {
+        console.warn(`Staging: game mod dir is missing (interrupted swap?), recover previous build: ${backupDir} => ${liveDir}`);
+        renameSync(backupDir, liveDir);
+    }
+}
+
+/**
+ * Build output in a staging dir next to game mod dir, then swap it in, keeping the previous build as backup.
+ * A crash or failed task leaves game mod dir untouched.
+ */
+class OutputStaging {
+    /** @param {string} outputPath  output data dir in game mod dir */
+    constructor(outputPath) {
+        Object.assign(this, getOutputDirs(outputPath));
+        this.liveOutputPath = path.resolve(outputPath);
+        this.outputPath = path.join(this.stagingDir, path.relative(this.liveDir, this.liveOutputPath));
+    }
+
+    /**
+     * @param {{ clean: boolean, empty?: boolean }} clean: start without files of current output data dir (files beside it, e.g. modinfo.json, are kept)
+     *     empty: start without any file of game mod dir (e.g. install a package)
+     */
+    begin({ clean, empty }) {
+        recoverOutputDirs(this);
+        if (fs.existsSync(this.stagingDir)) {
+            console.warn(`Staging: remove leftover staging dir: ${this.stagingDir}`);
+            rmSync(this.stagingDir, { recursive: true, force: true });
+        }
+        if (empty) {
+            mkdirSync(this.stagingDir);
+        } else if (fs.existsSync(this.liveDir)) {
+            cpSync(this.liveDir, this.stagingDir, { force: true, throwError: true, filter: (srcPath) => !clean || path.resolve(srcPath) !== this.liveOutputPath });
+        }
+        mkdirSync(this.outputPath);
+        console.info(`Staging: build output in: ${this.stagingDir}`);
+    }
+
+    /**
+     * Check staged files written by this build against outputs of resolver. Files copied from game mod dir by begin() are not checked.
+     * @param {import('./resolver').FileResolver} resolver  @returns {string[]} errors
+     */
+    verify(resolver) {
+        let errors = [];
+        for (let outputInfo of Object.values(resolver.implicitOutputMap)) {
+            if (typeof outputInfo.content !== 'string') continue;
+            if (outputInfo.dirty) { errors.push(`not written: ${outputInfo.relPath}`); continue; }
+            let [ buffer ] = readFileSyncNoThrow(outputInfo.realPath, { binary: true, logError: false });
+            if (!buffer) errors.push(`unreadable: ${outputInfo.relPath}`);  // Compared as written (encoded with format), not as read back
+            else if (!buffer.equals(encodeText(outputInfo.content, outputInfo.format ?? kDefaultTextFormat))) errors.push(`content mismatch: ${outputInfo.relPath}`);
+        }
+        if (!fs.existsSync(path.join(this.stagingDir, 'modinfo.json'))) errors.push(`missing modinfo.json`);
+        return errors;
+    }
+
+    /** Swap staging dir in as game mod dir; the replaced build becomes backup. */
+    commit() {
+        if (fs.existsSync(this.liveDir)) {
+            rmSync(this.backupDir, { recursive: true, force: true });
+            renameSync(this.liveDir, this.backupDir);
+        }
+        renameSync(this.stagingDir, this.liveDir);
+        console.info(`Staging: output swapped in: ${this.liveDir} (previous build: ${this.backupDir})`);
+    }
+
+    discard() {
+        console.info(`Staging: discard staged output, game mod dir unchanged: ${this.liveDir}`);
+        rmSync(this.stagingDir, { recursive: true, force: true });
+    }
+}
+
+/** Swap backup (previous build) with game mod dir. Restoring again swaps back.  @returns {?Error} */
+function restoreOutputBackup(outputPath) {
+    let outputDirs = getOutputDirs(outputPath), { liveDir, backupDir, swapDir } = outputDirs;
+    recoverOutputDirs(outputDirs);
+    if (!fs.existsSync(backupDir)) return new Error(`No previous build to restore: ${backupDir}`);
+    try {
+        if (fs.existsSync(liveDir)) renameSync(liveDir, swapDir);
+        renameSync(backupDir, liveDir);
+        if (fs.existsSync(swapDir)) renameSync(swapDir, backupDir);
+    } catch (e) {
+        return e;
+    }
+    console.info(`Restored previous build: ${liveDir} (replaced build: ${backupDir})`);
+    return null;
+}
+
+module.exports = { OutputStaging, restoreOutputBackup };
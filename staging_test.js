@@ -0,0 +1,105 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+globalThis.dryrun = false;
+const { FileResolver } = require('./resolver');
+const { OutputStaging, restoreOutputBackup } = require('./staging');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2rmp-staging-'));
+const inputDir = path.join(tmpDir, 'input'), liveDir = path.join(tmpDir, 'mods', 'Test', 'Test.mpq'), liveOutputDir = path.join(liveDir, 'data');
+fs.mkdirSync(path.join(inputDir, 'global', 'excel'), { recursive: true });
+fs.writeFileSync(path.join(inputDir, 'global', 'excel', 'misc.txt'), 'name\tcode\nRing\trin\n');
+const readLive = (...relPath) => fs.readFileSync(path.join(liveDir, ...relPath), 'utf-8');
+
+/** Build misc.txt of content into staging.  @returns {[ OutputStaging, string[] ]}  staging, verify errors */
+function stageBuild(content, { clean, modInfo } = {}) {
+    let staging = new OutputStaging(liveOutputDir);
+    staging.begin({ clean: !!clean });
+    let resolver = new FileResolver({ outputPath: staging.outputPath, baseInputPath: inputDir, userInputPath: null });
+    if (modInfo) resolver.writeOutputFile('../modinfo.json', JSON.stringify(modInfo));
+    resolver.readAutoInputFileSync('global/excel/misc.txt');
+    resolver.updateOutputFile('global/excel/misc.txt', content, { writer: 'ModA' });
+    resolver.flush();
+    return [ staging, staging.verify(resolver), resolver ];
+}
+
+// First run: game mod dir and backup do not exist; modinfo.json is required.
+let [ staging, errors ] = stageBuild('name\tcode\n');
+assert.deepEqual(errors, [ 'missing modinfo.json' ]);
+staging.discard();
+assert.ok(!fs.existsSync(staging.stagingDir) && !fs.existsSync(liveDir));
+[ staging, errors ] = stageBuild('name\tcode\nRing\trin\n', { modInfo: { name: 'Test', savepath: 'Test/' } });
+assert.deepEqual(errors, []);
+staging.commit();
+assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\nRing\trin\n');
+assert.ok(!fs.existsSync(staging.stagingDir) && !fs.existsSync(`${liveDir}.bak`));
+
+// CRLF built by mod into LF input is verified as written.
+[ staging, errors ] = stageBuild('name\tcode\r\nAmulet\tamu\r\n');
+assert.deepEqual(errors, []);
+assert.equal(fs.readFileSync(path.join(staging.outputPath, 'global', 'excel', 'misc.txt'), 'utf-8'), 'name\tcode\r\nAmulet\tamu\r\n');
+staging.commit();
+assert.equal(readLive('modinfo.json'), '{"name":"Test","savepath":"Test/"}');  // Kept from live dir
+assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\r\nAmulet\tamu\r\n');
+assert.equal(fs.readFileSync(path.join(`${liveDir}.bak`, 'data', 'global', 'excel', 'misc.txt'), 'utf-8'), 'name\tcode\nRing\trin\n');
+
+// Changed staged file fails verify; discard leaves game mod dir untouched.
+let resolver;
+[ staging, errors, resolver ] = stageBuild('name\tcode\nCharm\tcm1\n');
+fs.writeFileSync(path.join(staging.outputPath, 'global', 'excel', 'misc.txt'), 'name\tcode\nCharm\tcm1\n');  // Output format is CRLF, as reloaded from live
+assert.deepEqual(staging.verify(resolver), [ 'content mismatch: global/excel/misc.txt' ]);
+staging.discard();
+assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\r\nAmulet\tamu\r\n');
+
+// Clean build drops old outputs but keeps files beside data dir; leftover staging dir is removed.
+fs.writeFileSync(path.join(liveOutputDir, 'stale.txt'), 'stale');
+fs.mkdirSync(`${liveDir}.staging`);
+fs.writeFileSync(path.join(`${liveDir}.staging`, 'leftover.txt'), 'x');
+[ staging, errors ] = stageBuild('name\tcode\n', { clean: true });
+assert.deepEqual(errors, []);
+assert.ok(!fs.existsSync(path.join(staging.stagingDir, 'leftover.txt')));
+staging.commit();
+assert.ok(!fs.existsSync(path.join(liveOutputDir, 'stale.txt')));
+assert.ok(fs.existsSync(path.join(liveDir, 'modinfo.json')));
+
+// Restore swaps previous build and current build; restoring again swaps back.
+assert.equal(restoreOutputBackup(liveOutputDir), null);
+assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\r\nAmulet\tamu\r\n');
+assert.equal(readLive('data', 'stale.txt'), 'stale');
+assert.equal(restoreOutputBackup(liveOutputDir), null);
+assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\n');
+fs.rmSync(`${liveDir}.bak`, { recursive: true });
+assert.match(restoreOutputBackup(liveOutputDir).message, /^No previous build to restore/);
+
+// Commit interrupted between renames (game mod dir moved to backup, staged build left): next build recovers previous build first.
+fs.renameSync(liveDir, `${liveDir}.bak`);
+fs.mkdirSync(`${liveDir}.staging`);
+[ staging, errors ] = stageBuild('name\tcode\nJewel\tjew\n');
+assert.deepEqual(errors, []);
+staging.commit();
+assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\nJewel\tjew\n');
+assert.equal(fs.readFileSync(path.join(`${liveDir}.bak`, 'data', 'global', 'excel', 'misc.txt'), 'utf-8'), 'name\tcode\n');
+
+// Restore interrupted after moving current build aside: it is moved back, then restore proceeds.
+fs.renameSync(liveDir, `${liveDir}.restoring`);
+assert.equal(restoreOutputBackup(liveOutputDir), null);
+assert.equal(readLive('data', 'global', 'excel', 'misc.txt'), 'name\tcode\n');
+assert.equal(fs.readFileSync(path.join(`${liveDir}.bak`, 'data', 'global', 'excel', 'misc.txt'), 'utf-8'), 'name\tcode\nJewel\tjew\n');
+assert.ok(!fs.existsSync(`${liveDir}.restoring`));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+console.log('staging_test: OK');
@@ -0,0 +1,138 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const path = require('node:path');
+
+const { parseTsv, getTSVKeyCol, matchTSVRows } = require('./diff');
+
+/** @typedef {{ mod: string, oldValue: ?string, newValue: ?string }} CellWrite */
+
+function isTrackedTSVPath(relPath) { return relPath.startsWith('global/excel/') && path.posix.extname(relPath) === '.txt'; }
+
+/** Row id: key column value, or first column value (with occurrence suffix if duplicated).  @returns {string[]} */
+function getTSVRowIds(tsv, keyCol) {
+    let descCol = keyCol ?? tsv.headers[0], occurrences = new Map();
+    return tsv.rows.map(row => {
+        let desc = String(row[descCol] ?? ''), count = occurrences.get(desc) ?? 0;
+        occurrences.set(desc, count + 1);
+        return count === 0 ? desc : `${desc}#${count + 1}`;
+    });
+}
+
+/**
+ * Records which mod wrote which TSV cells. (Writers of whole files are recorded by FileResolver.outputWriters)
+ * Consecutive writes of a file by the same mod are diffed once, when another mod writes it or cell writes are read.
+ */
+class ModWriteTracker {
+    constructor() {
+        /** @type {Map<string, Map<string, Map<string, CellWrite[]>>>} rel-path : row-id : column : writes */
+        this._cellWrites = new Map();
+        /** @type {Map<string, { mod: string, oldContent: ?string, newContent: string }>} rel-path : writes not diffed yet */
+        this._pendingWrites = new Map();
+        /** @type {Map<string, { content: string, tsv: import('./diff').TSVData }>} rel-path : last diffed content, parsed */
+        this._parsedCache = new Map();
+    }
+
+    /** @param {string} modName  @param {string} relPath  @param {?string} oldContent  @param {?string} newContent */
+    recordWrite(modName, relPath, oldContent, newContent) {
+        if (!isTrackedTSVPath(relPath) || typeof newContent !== 'string') return;
+        let pending = this._pendingWrites.get(relPath);
+        if (pending?.mod === modName) { pending.newContent = newContent; return; }
+        if (pending) this._diffWrite(relPath, pending);
+        this._pendingWrites.set(relPath, { mod: modName, oldContent, newContent });
+    }
+
+    _parseTsv(relPath, content, keyCol) {
+        let cached = this._parsedCache.get(relPath);
+        return cached?.content === content ? cached.tsv : parseTsv(content, keyCol);
+    }
+
+    _diffWrite(relPath, { mod: modName, oldContent, newContent }) {
+        let keyCol = getTSVKeyCol(relPath);
+        let oldTSV = this._parseTsv(relPath, typeof oldContent === 'string' ? oldContent : '', keyCol), newTSV = this._parseTsv(relPath, newContent, keyCol);
+        this._parsedCache.set(relPath, { content: newContent, tsv: newTSV });
+        let cols = newTSV.headers.filter(header => header !== '');
+        let oldToNew = new Map(matchTSVRows(oldTSV, newTSV, keyCol, cols.filter(col => oldTSV.headers.includes(col))));
+        let newToOld = new Map([ ...oldToNew ].map(([ o, n ]) => [ n, o ]));
+        let rowIds = getTSVRowIds(newTSV, keyCol);
+        let fileCellWrites = this._cellWrites.get(relPath) ?? new Map();
+        this._cellWrites.set(relPath, fileCellWrites);
+        for (let [ n, newRow ] of newTSV.rows.entries()) {
+            let oldRow = newToOld.has(n) ? oldTSV.rows[newToOld.get(n)] : {};
+            for (let col of cols) {
+                if (oldRow[col] === newRow[col]) continue;
+                let rowCellWrites = fileCellWrites.get(rowIds[n]) ?? new Map();
+                fileCellWrites.set(rowIds[n], rowCellWrites);
+                let writes = rowCellWrites.get(col) ?? [];
+                rowCellWrites.set(col, writes);
+                writes.push({ mod: modName, oldValue: oldRow[col] ?? null, newValue: newRow[col] ?? null });
+            }
+        }
+    }
+
+    /** @returns {Map<string, Map<string, Map<string, CellWrite[]>>>} rel-path : row-id : column : writes */
+    getCellWrites() {
+        for (let [ relPath, pending ] of this._pendingWrites) this._diffWrite(relPath, pending);
+        this._pendingWrites.clear();
+        return this._cellWrites;
+    }
+
+    /** Forget writes of a mod whose outputs are rolled back. */
+    discardWrites(modName) {
+        for (let [ relPath, pending ] of this._pendingWrites) {
+            if (pending.mod === modName) this._pendingWrites.delete(relPath);
+        }
+        for (let [ relPath, fileCellWrites ] of this.getCellWrites()) {
+            for (let [ rowId, rowCellWrites ] of fileCellWrites) {
+                for (let [ col, writes ] of rowCellWrites) {
+                    let keptWrites = writes.filter(({ mod }) => mod !== modName);
+                    if (keptWrites.length > 0) rowCellWrites.set(col, keptWrites); else rowCellWrites.delete(col);
+                }
+                if (rowCellWrites.size === 0) fileCellWrites.delete(rowId);
+            }
+            if (fileCellWrites.size === 0) this._cellWrites.delete(relPath);
+        }
+    }
+
+    /** Cells written by more than one mod.  @returns {{ relPath: string, rowId: string, col: string, writes: CellWrite[] }[]} */
+    getCellConflicts() {
+        let conflicts = [];
+        for (let [ relPath, fileCellWrites ] of this.getCellWrites()) {
+            for (let [ rowId, rowCellWrites ] of fileCellWrites) {
+                for (let [ col, writes ] of rowCellWrites) {
+                    if (new Set(writes.map(({ mod }) => mod)).size > 1) conflicts.push({ relPath, rowId, col, writes });
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    /** @param {Object.<string, string[]>} fileWriters  FileResolver.outputWriters */
+    printReport(fileWriters) {
+        const formatValue = (value) => `{${value ?? '<blank>'}}`;
+        let fileOverlaps = Object.entries(fileWriters).filter(([ , writers ]) => new Set(writers).size > 1);
+        let cellConflicts = this.getCellConflicts();
+        for (let [ relPath, writers ] of fileOverlaps) {
+            console.info(`Mod overlap: ${relPath}: ${writers.join(', ')} (winner: ${writers[writers.length - 1]})`);
+        }
+        for (let { relPath, rowId, col, writes } of cellConflicts) {
+            let winner = writes[writes.length - 1], earlier = writes.slice(0, -1);
+            console.info(`Mod conflict: ${relPath} row {${rowId}} [${col}]: winner ${winner.mod} = ${formatValue(winner.newValue)}; earlier: ` +
+                earlier.map(({ mod, oldValue, newValue }) => `${mod} = ${formatValue(newValue)} (was ${formatValue(oldValue)})`).join(', '));
+        }
+        let conflictFiles = new Set(cellConflicts.map(({ relPath }) => relPath));
+        console.info(`Mod conflicts: ${cellConflicts.length} cells in ${conflictFiles.size} files written by more than one mod, ` +
+            `${fileOverlaps.length} files written by more than one mod`);
+    }
+}
+
+module.exports = { ModWriteTracker, getTSVRowIds, isTrackedTSVPath };
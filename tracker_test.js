@@ -0,0 +1,40 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+
+const { ModWriteTracker } = require('./tracker');
+
+const kMisc = (cost, name = 'Ring') => `name\tcode\tcost\n${name}\trin\t${cost}\nAmulet\tamu\t5\n`;
+
+// Consecutive writes by a mod are diffed once: one write per cell, from the mod's first old content to its last content.
+let tracker = new ModWriteTracker();
+tracker.recordWrite('ModA', 'global/excel/misc.txt', kMisc(10), kMisc(20));
+tracker.recordWrite('ModA', 'global/excel/misc.txt', kMisc(20), kMisc(30));
+tracker.recordWrite('ModA', 'global/excel/readme.json', null, '{}');  // Not tracked
+tracker.recordWrite('ModB', 'global/excel/misc.txt', kMisc(30), kMisc(40, 'Band'));
+assert.deepEqual([ ...tracker.getCellWrites().keys() ], [ 'global/excel/misc.txt' ]);
+assert.deepEqual(tracker.getCellWrites().get('global/excel/misc.txt').get('rin').get('cost'), [
+    { mod: 'ModA', oldValue: '10', newValue: '30' },
+    { mod: 'ModB', oldValue: '30', newValue: '40' },
+]);
+assert.deepEqual(tracker.getCellConflicts().map(({ rowId, col }) => [ rowId, col ]), [ [ 'rin', 'cost' ] ]);
+
+// Rolled back mod: both diffed and pending writes are dropped.
+tracker.recordWrite('ModC', 'global/excel/misc.txt', kMisc(40, 'Band'), kMisc(50, 'Band'));
+tracker.discardWrites('ModC');
+tracker.discardWrites('ModB');
+assert.deepEqual(tracker.getCellWrites().get('global/excel/misc.txt').get('rin').get('cost'), [ { mod: 'ModA', oldValue: '10', newValue: '30' } ]);
+assert.ok(!tracker.getCellWrites().get('global/excel/misc.txt').get('rin').has('name'));
+assert.deepEqual(tracker.getCellConflicts(), []);
+
+console.log('tracker_test: OK');
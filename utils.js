@@ -48,11 +48,46 @@ function readFileSyncNoThrow(filepath, { logError, binary } = {}) {
     }
 }
 
-function writeFileSyncEx(filepath, content, { logError, throwError, /*addBOM,*/ binary } = {}) {
+/**
+ * Text file format: detected on read, reproduced on write.
+ * @typedef {{ bom: boolean, eol: '\n'|'\r\n', encoding: 'utf-8'|'utf-16le' }} TextFormat
+ */
+const kDefaultTextFormat = Object.freeze({ bom: false, eol: '\n', encoding: 'utf-8' });
+
+/**
+ * Decode text file: BOM stripped, line endings kept; format eol is the first line ending.
+ * @param {Buffer} buffer  @param {{ normalizeEol?: boolean }} options  normalizeEol: convert CRLF to LF  @returns {[ string, TextFormat ]}
+ */
+function decodeText(buffer, { normalizeEol } = {}) {
+    let encoding = buffer[0] === 0xFF && buffer[1] === 0xFE ? 'utf-16le' : 'utf-8';
+    let content = buffer.toString(encoding), bom = content.startsWith('\uFEFF');
+    if (bom) content = content.slice(1);
+    let eol = /\r?\n/.exec(content)?.[0] ?? '\n';
+    if (normalizeEol) content = content.replace(/\r\n/g, '\n');
+    return [ content, { bom, eol, encoding } ];
+}
+
+/** Inverse of decodeText: CRLF format converts LF line endings to CRLF.  @param {string} content  @param {TextFormat} format  @returns {Buffer} */
+function encodeText(content, { bom, eol, encoding }) {
+    if (eol === '\r\n') content = content.replace(/\r?\n/g, '\r\n');
+    return Buffer.from((bom ? '\uFEFF' : '') + content, encoding);
+}
+
+/** @param {{ logError?: boolean, normalizeEol?: boolean }} options  @returns {[ ?string, ?Error, ?TextFormat ]}  content as decodeText, error, format */
+function readTextFileSyncNoThrow(filepath, options = {}) {
+    let [ buffer, err ] = readFileSyncNoThrow(filepath, Object.assign({}, options, { binary: true }));
+    if (!buffer) return [ null, err, null ];
+    let [ content, format ] = decodeText(buffer, options);
+    return [ content, null, format ];
+}
+
+/** @param {{ addBOM?: boolean, eol?: string, encoding?: string, binary?: boolean }} options  addBOM/eol/encoding: as TextFormat of text content */
+function writeFileSyncEx(filepath, content, { logError, throwError, addBOM, eol, encoding, binary } = {}) {
     logError ??= !throwError;
     try {
         if (!dryrun) {
-            fs.writeFileSync(filepath, content, binary ? undefined : 'utf-8');
+            if (!binary && typeof content === 'string') content = encodeText(content, { bom: !!addBOM, eol: eol ?? '\n', encoding: encoding ?? 'utf-8' });
+            fs.writeFileSync(filepath, content);
         } else {
             console.warn(`DRY-RUN: write file: ${filepath} | content:\n${content.slice(0, 1000)}`);
             // console.info(`DRY-RUN: write file: ${filepath}`);
@@ -177,6 +212,45 @@ function tryParseJSON(content, knownType) {
     }
 }
 
+/** Glob of '/' separated path: '**' matches across dirs, '*' and '?' within a dir name. Case insensitive (as D2R paths).  @returns {RegExp} */
+function globToRegExp(glob) {
+    let source = normalizePath(glob).replace(/\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g, (token) => {
+        switch (token) {
+        case '**/': return '(?:.*/)?';
+        case '**': return '.*';
+        case '*': return '[^/]*';
+        case '?': return '[^/]';
+        default: return `\\${token}`;
+        }
+    });
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/** Levenshtein distance. */
+function editDistance(a, b) {
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            let above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+/** Closest candidate to a misspelled name, if close enough.  @param {string[]} candidates  @returns {?string} */
+function suggestName(name, candidates) {
+    let best = null, bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+    for (let candidate of candidates) {
+        let distance = editDistance(name, candidate);
+        if (distance < bestDistance) [ best, bestDistance ] = [ candidate, distance ];
+    }
+    return best;
+}
+
 /** @param {string} cwd  start path (for linux/wine search) */
 function probeWin32Home(cwd) {
     if (os.platform === 'win32') return os.homedir();
@@ -207,7 +281,8 @@ module.exports = {
     fatal,
     convertPath, nativePath, normalizePath, scriptPath,
     readFileSyncNoThrow, writeFileSync, writeFileSyncNoThrow, statSyncNoThrow, readdirSafeSync,
+    kDefaultTextFormat, decodeText, encodeText, readTextFileSyncNoThrow,
     cpSync, mkdirSync, rmSync, renameSync, rmFilesSync,
-    tryParseJSON,
+    tryParseJSON, globToRegExp, editDistance, suggestName,
     probeWin32Home, probeSavePath,
 };
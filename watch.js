@@ -0,0 +1,111 @@
+/** d2rmp, a patcher script toolset for D2R mods.
+ *  Copyright (C) 2024 myocytebd
+ * 
+ *  This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ *  as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *  This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty
+ *  of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ *  You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { runD2RMMTask, getEffectiveModList } = require('./runner');
+const { normalizePath, readFileSyncNoThrow, readdirSafeSync } = require('./utils');
+
+const kWatchDebounceMs = 500;
+
+/** Output files (including modinfo.json/provenance.json next to data dir) : content hash.  @returns {Map<string, string>} */
+function snapshotOutputFiles(outputPath) {
+    let snapshot = new Map(), gameModPath = path.resolve(outputPath, '..');
+    if (!fs.existsSync(gameModPath)) return snapshot;
+    for (let dirent of readdirSafeSync(gameModPath, { recursive: true, withFileTypes: true })) {
+        if (!dirent.isFile()) continue;
+        let relPath = path.join(dirent.parentPath, dirent.name);
+        snapshot.set(normalizePath(relPath), crypto.createHash('sha256').update(fs.readFileSync(path.join(gameModPath, relPath))).digest('hex'));
+    }
+    return snapshot;
+}
+
+function printOutputChanges(prevSnapshot, snapshot) {
+    let changes = [];
+    for (let [ relPath, hash ] of snapshot) {
+        if (!prevSnapshot.has(relPath)) changes.push(`A ${relPath}`);
+        else if (prevSnapshot.get(relPath) !== hash) changes.push(`M ${relPath}`);
+    }
+    for (let relPath of prevSnapshot.keys()) if (!snapshot.has(relPath)) changes.push(`D ${relPath}`);
+    if (changes.length === 0) return console.info(`Watch: no output changes`);
+    console.info(`Watch: ${changes.length} output files changed:\n  ${changes.sort((a, b) => a.slice(2) < b.slice(2) ? -1 : 1).join('\n  ')}`);
+}
+
+/** Directories whose changes re-run the task: enabled mods, extern lib js, user input data, input layers.  @param {import('./main').RunConfig} config */
+function getWatchPaths(config) {
+    let watchPaths = getEffectiveModList(config).map(modName => path.join(config.path.modsPath, modName));
+    watchPaths.push(config.path.externLibJSPath, config.path.userInputPath, ...(config.path.inputLayers ?? []).map(layer => layer.path));
+    return watchPaths.filter(watchPath => watchPath && fs.existsSync(watchPath));
+}
+
+/** config.json of enabled mods (may be written by the run: d2rmm_config_completion) : content.  @returns {Map<string, ?string>} */
+function snapshotModConfigs(config) {
+    return new Map(getEffectiveModList(config).map(modName => {
+        let configPath = path.resolve(config.path.modsPath, modName, 'config.json');
+        return [ configPath, readFileSyncNoThrow(configPath, { logError: false })[0] ];
+    }));
+}
+
+/**
+ * Run D2RMM task, then re-run on changes of mod scripts and user input data. Never returns.
+ * Changes during a run are queued for one more run; only events of files written by the run itself are ignored.
+ * @param {import('./main').RunConfig} config
+ */
+async function watchD2RMMTask(config) {
+    let prevSnapshot = snapshotOutputFiles(config.path.outputPath), running = false, timer = null;
+    let pendingPaths = new Set(), selfWrittenPaths = new Set(), ignoreUntil = 0;
+    const schedule = (reason) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => runOnce(reason), kWatchDebounceMs);
+    };
+    const runOnce = async (reason) => {
+        running = true;
+        pendingPaths.clear();
+        console.info(`Watch: run${reason ? `: ${reason}` : ''}`);
+        let prevModConfigs = snapshotModConfigs(config);
+        try {
+            await runD2RMMTask(config, { watching: true });
+        } catch (e) {
+            console.error(`Watch: task failed |`, e);
+        }
+        let snapshot = snapshotOutputFiles(config.path.outputPath);
+        printOutputChanges(prevSnapshot, snapshot);
+        prevSnapshot = snapshot;
+        // Events of files written by the run itself (e.g. config.json completion) may arrive during or shortly after the run.
+        selfWrittenPaths = new Set([ ...snapshotModConfigs(config) ].filter(([ configPath, content ]) => prevModConfigs.get(configPath) !== content).map(([ configPath ]) => configPath));
+        for (let selfWrittenPath of selfWrittenPaths) pendingPaths.delete(selfWrittenPath);
+        ignoreUntil = Date.now() + kWatchDebounceMs;
+        running = false;
+        if (pendingPaths.size > 0) schedule(`changed during run: ${[ ...pendingPaths ].join(', ')}`);
+        else console.info(`Watch: waiting for changes...`);
+    };
+    const onChange = (changedPath) => {
+        if (selfWrittenPaths.has(changedPath) && Date.now() < ignoreUntil) return;
+        pendingPaths.add(changedPath);
+        if (!running) schedule(`changed: ${changedPath}`);
+    };
+    await runOnce();
+    let outputModPath = path.resolve(config.path.outputPath, '..');
+    for (let watchPath of getWatchPaths(config)) {
+        console.info(`Watch: ${watchPath}`);
+        fs.watch(watchPath, { recursive: true }, (eventType, filename) => {
+            let changedPath = path.resolve(watchPath, filename ?? '');
+            if (changedPath.startsWith(outputModPath + path.sep)) return;
+            onChange(changedPath);
+        });
+    }
+    return new Promise(() => {});
+}
+
+module.exports = { watchD2RMMTask };